@@ -0,0 +1,59 @@
+// ============================================================================
+// Signed credentials handed out by server.js: invite tokens and TURN credentials
+// ============================================================================
+
+import crypto from "crypto";
+
+function signInvitePayload(secret, encodedPayload) {
+  return crypto.createHmac("sha256", secret).update(encodedPayload).digest("base64url");
+}
+
+/**
+ * Create a signed invite token: base64url(JSON payload) + "." + base64url(HMAC-SHA256)
+ */
+export function createInvite(secret, { roomId, role, name, ttlSeconds }, now = Date.now()) {
+  const payload = {
+    roomId,
+    role,
+    name: name || "",
+    exp: Math.floor(now / 1000) + ttlSeconds,
+  };
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return { token: `${encodedPayload}.${signInvitePayload(secret, encodedPayload)}`, payload };
+}
+
+/**
+ * Verify an invite token and return its payload, or null if it is forged or expired
+ */
+export function verifyInvite(secret, token, now = Date.now()) {
+  if (typeof token !== "string") return null;
+
+  const [encodedPayload, signature] = token.split(".");
+  if (!encodedPayload || !signature) return null;
+
+  const expected = Buffer.from(signInvitePayload(secret, encodedPayload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(encodedPayload, "base64url").toString("utf8"));
+    if (!payload.roomId || typeof payload.exp !== "number") return null;
+    if (payload.exp * 1000 <= now) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Time-limited TURN credentials using the coturn REST API scheme:
+ * username = "<expiry unix time>:<user>", credential = base64(HMAC-SHA1(secret, username))
+ */
+export function createTurnCredentials(secret, user, ttlSeconds, now = Date.now()) {
+  const expiresAt = Math.floor(now / 1000) + ttlSeconds;
+  const username = `${expiresAt}:${user}`;
+  const credential = crypto.createHmac("sha1", secret).update(username).digest("base64");
+  return { username, credential, expiresAt };
+}
@@ -3,104 +3,1812 @@ const socket = io();
 const joinBtn = document.getElementById("joinBtn");
 const roomInput = document.getElementById("roomInput");
 const roleSelect = document.getElementById("roleSelect");
+const nameInput = document.getElementById("nameInput");
+const avatarInput = document.getElementById("avatarInput");
+const rosterDiv = document.getElementById("roster");
+const rosterList = document.getElementById("rosterList");
+const layoutSelect = document.getElementById("layoutSelect");
+
 const localVideo = document.getElementById("localVideo");
+const localScreen = document.getElementById("localScreen");
+const localTile = document.getElementById("localTile");
+const localScreenTile = document.getElementById("localScreenTile");
 const videosDiv = document.getElementById("videos");
+const statusEl = document.getElementById("status");
+const lobbyDiv = document.getElementById("lobby");
+const lobbyList = document.getElementById("lobbyList");
+const admitAllBtn = document.getElementById("admitAllBtn");
+const handBtn = document.getElementById("handBtn");
+const micBtn = document.getElementById("micBtn");
+const cameraBtn = document.getElementById("cameraBtn");
+const handsDiv = document.getElementById("hands");
+const handList = document.getElementById("handList");
+const chatDiv = document.getElementById("chat");
+const chatMessages = document.getElementById("chatMessages");
+const chatForm = document.getElementById("chatForm");
+const chatInput = document.getElementById("chatInput");
+const chatPrivate = document.getElementById("chatPrivate");
+const peerToolsDiv = document.getElementById("peerTools");
+const fileInput = document.getElementById("fileInput");
+const transfersList = document.getElementById("transfers");
+const shareBtn = document.getElementById("shareBtn");
+const sharePolicyLabel = document.getElementById("sharePolicy");
+const sharePolicyInput = document.getElementById("sharePolicyInput");
+const cameraSelect = document.getElementById("cameraSelect");
+const micSelect = document.getElementById("micSelect");
+const speakerSelect = document.getElementById("speakerSelect");
+const speakerLabel = document.getElementById("speakerLabel");
+const prejoinDiv = document.getElementById("prejoin");
+const mediaErrorEl = document.getElementById("mediaError");
+const retryMediaBtn = document.getElementById("retryMediaBtn");
+const micLevel = document.getElementById("micLevel");
+const joinMutedInput = document.getElementById("joinMutedInput");
+const joinCameraOffInput = document.getElementById("joinCameraOffInput");
+
+// Sizes and orders every tile in #videos (see layout.js)
+const layout = createLayout(videosDiv, { onPin: () => reportVisibleTiles() });
+layout.addTile(localTile);
+layout.addTile(localScreenTile);
 
 let localStream;
 let peers = {}; // userId -> RTCPeerConnection
+let tiles = {}; // userId -> tile <div> holding the remote <video>
+let screenTiles = {}; // userId -> tile <div> for the peer's screen share
+let screenStreamIds = {}; // userId -> stream ID the peer announced as its screen
+let peerMediaStates = {}; // userId -> { audio, video } as announced by the peer
+let participants = {}; // userId -> roster entry { displayName, avatarUrl, initials, role, ... }
+let screenStream; // our own screen share, if any
+let userScreenShareAllowed = false;
+const pendingCandidates = new WeakMap(); // RTCPeerConnection -> candidates received before the remote description
+const negotiation = new WeakMap(); // RTCPeerConnection -> { polite, makingOffer, ignoreOffer }
 let roomId;
 let role;
+let mediaMode = "p2p"; // "p2p" or "sfu", decided by the server per room
+let joined = false;
+let handRaised = false;
 
-// Get camera + mic
-navigator.mediaDevices.getUserMedia({ video: true, audio: true })
-.then(stream => {
-    localStream = stream;
-    localVideo.srcObject = stream;
-});
+// Stable identity for this page, so the server can re-pair us after a socket reconnect
+const clientId = window.crypto && crypto.randomUUID
+    ? crypto.randomUUID()
+    : Math.random().toString(36).slice(2) + Date.now().toString(36);
+
+// Replaced by the server's list (STUN + TURN), sent once we are in a room
+let iceServers = [{ urls: "stun:stun.l.google.com:19302" }];
+let iceServersTimer;
+const ICE_REQUEST_TIMEOUT_MS = 10000;
+
+const MAX_ICE_RESTARTS = 3;
+const DISCONNECTED_GRACE_MS = 3000;
+const iceRestartAttempts = new WeakMap(); // RTCPeerConnection -> count
+
+const params = new URLSearchParams(window.location.search);
+// Optional moderator token, e.g. /?moderatorToken=secret
+const moderatorToken = params.get("moderatorToken");
+// Signed invite link, e.g. /?invite=<token> (see POST /invites)
+const invite = params.get("invite");
+
+// Room settings used if we create the room as moderator, e.g. /?maxUsers=6&waitingList=1&mode=sfu
+const roomSettings = {
+    mode: params.get("mode") || undefined,
+    maxModerators: params.has("maxModerators") ? Number(params.get("maxModerators")) : undefined,
+    maxUsers: params.has("maxUsers") ? Number(params.get("maxUsers")) : undefined,
+    waitingList: params.has("waitingList") ? params.get("waitingList") === "1" : undefined,
+    lobby: params.has("lobby") ? params.get("lobby") === "1" : undefined,
+};
+
+// Read the (unverified) invite payload so the form can be pre-filled
+function decodeInvite(token) {
+    try {
+        const payload = token.split(".")[0].replace(/-/g, "+").replace(/_/g, "/");
+        return JSON.parse(atob(payload));
+    } catch (e) {
+        console.warn("Could not read invite:", e);
+        return null;
+    }
+}
+
+const inviteInfo = invite ? decodeInvite(invite) : null;
+if (inviteInfo) {
+    roomInput.value = inviteInfo.roomId;
+    nameInput.value = inviteInfo.name || "";
+    roleSelect.value = inviteInfo.role;
+    roomInput.disabled = true;
+    roleSelect.disabled = true;
+}
+
+// Use the ICE server list from the server and refresh it before the TURN credentials expire
+function applyIceServers({ iceServers: servers, ttl }) {
+    clearTimeout(iceServersTimer);
+    iceServers = servers;
+
+    // Running connections pick up fresh credentials for future ICE restarts
+    Object.values(peers).forEach(pc => {
+        try {
+            pc.setConfiguration({ ...pc.getConfiguration(), iceServers });
+        } catch (error) {
+            console.warn("Could not update ICE servers on connection:", error);
+        }
+    });
+
+    // Refresh at 80% of the credential lifetime (capped at a day)
+    iceServersTimer = setTimeout(refreshIceServers, Math.min(ttl * 800, 24 * 60 * 60 * 1000));
+}
+
+// Only answered while we are in a room
+function refreshIceServers() {
+    if (!joined) return;
+    socket.timeout(ICE_REQUEST_TIMEOUT_MS).emit("get-ice-servers", (err, response) => {
+        if (err || !response || response.error) {
+            console.warn("Could not refresh ICE servers:", err ? err.message : response && response.error);
+            iceServersTimer = setTimeout(refreshIceServers, 30000);
+            return;
+        }
+        applyIceServers(response);
+    });
+}
 
 // Join room
-joinBtn.onclick = () => {
+function joinRoom() {
     roomId = roomInput.value || "default-room";
-    role = roleSelect.value;
+    socket.emit("join-room", {
+        roomId,
+        role: roleSelect.value,
+        displayName: nameInput.value,
+        avatar: avatarInput.value,
+        token: moderatorToken,
+        invite,
+        clientId,
+        settings: roomSettings,
+    });
+}
 
-    socket.emit("join-room", roomId, role);
+// Apply the pre-join choices, then join
+joinBtn.onclick = () => {
+    localStream.getAudioTracks().forEach(track => track.enabled = !joinMutedInput.checked);
+    localStream.getVideoTracks().forEach(track => track.enabled = !joinCameraOffInput.checked);
+    stopMicMeter();
+    prejoinDiv.hidden = true;
+    joinBtn.disabled = true;
+    joinRoom();
 };
 
-// Room full
-socket.on("room-full", () => alert("Room is full!"));
+function updateStatus(message) {
+    statusEl.textContent = message;
+}
+
+const LIMIT_NAMES = { maxModerators: "moderators", maxUsers: "users" };
 
-socket.on("joined-room", ({ roomId: r, role: myRole }) => {
-    console.log(`Joined room ${r} as ${myRole}`);
+// Room full: { limit, max, current, waiting, position }
+socket.on("room-full", ({ limit, max, waiting, position }) => {
+    const reason = `Room is full (${max} ${LIMIT_NAMES[limit] || limit} max).`;
+    updateStatus(waiting ? `${reason} You are #${position} on the waiting list.` : reason);
+    if (!waiting) joinBtn.disabled = false;
 });
 
-// Moderator: when new user joins
-socket.on("user-joined", async (userId) => {
-    if (role !== "moderator") return;
+socket.on("waiting-list", ({ position }) => {
+    updateStatus(`Room is full. You are #${position} on the waiting list.`);
+});
+
+// Lobby (user side)
+socket.on("lobby-waiting", () => updateStatus("Waiting for the moderator to let you in..."));
+socket.on("lobby-denied", () => {
+    updateStatus("The moderator declined your request to join.");
+    joinBtn.disabled = false;
+});
 
-    const pc = new RTCPeerConnection({ iceServers: [{ urls: "stun:stun.l.google.com:19302" }] });
+// Lobby (moderator side): one entry per person waiting
+socket.on("lobby-request", ({ peerId, displayName }) => {
+    if (document.getElementById(`lobby-${peerId}`)) return;
+
+    const item = document.createElement("li");
+    item.id = `lobby-${peerId}`;
+    item.textContent = `${displayName || "Guest"} `;
+
+    const admitBtn = document.createElement("button");
+    admitBtn.textContent = "Admit";
+    admitBtn.onclick = () => socket.emit("lobby-admit", { peerId });
+
+    const denyBtn = document.createElement("button");
+    denyBtn.textContent = "Deny";
+    denyBtn.onclick = () => socket.emit("lobby-deny", { peerId });
+
+    item.append(admitBtn, denyBtn);
+    lobbyList.appendChild(item);
+    lobbyDiv.hidden = false;
+});
+
+socket.on("lobby-resolved", ({ peerId }) => {
+    const item = document.getElementById(`lobby-${peerId}`);
+    if (item) item.remove();
+    lobbyDiv.hidden = lobbyList.children.length === 0;
+});
+
+admitAllBtn.onclick = () => socket.emit("lobby-admit-all");
+
+socket.on("join-error", ({ message }) => {
+    updateStatus(message);
+    joinBtn.disabled = false;
+});
+
+// The server decides our role; the select box is only a request
+socket.on("joined-room", ({ roomId: r, role: myRole, displayName, mode, ice, resumed }) => {
+    roomId = r;
+    role = myRole;
+    mediaMode = mode || "p2p";
+    joined = true;
+    // Before any connection below is created
+    if (ice) applyIceServers(ice);
+    roleSelect.value = myRole;
+    updateStatus(`In room ${r} as ${myRole}`);
+    handBtn.hidden = myRole !== "user";
+    chatDiv.hidden = false;
+    // Reactions and file transfer use P2P data channels
+    peerToolsDiv.hidden = mediaMode !== "p2p";
+    sharePolicyLabel.hidden = myRole !== "moderator";
+    updateShareButton();
+    micBtn.hidden = false;
+    cameraBtn.hidden = false;
+    updateMediaButtons();
+    broadcastMediaState();
+
+    // The server forgets our share when the socket changes
+    if (resumed && screenStream) socket.emit("screen-share-start", { streamId: screenStream.id });
+    console.log(`${resumed ? "Rejoined" : "Joined"} room ${r} as ${myRole}${displayName ? ` (${displayName})` : ""}`);
+
+    // A fresh session (grace period over, or the server restarted): we missed every
+    // peer-left in between, and the old connections can't be renegotiated
+    if (!resumed) {
+        const stale = new Set([...Object.keys(peers), ...Object.keys(tiles), ...Object.keys(screenTiles)]);
+        stale.forEach(removePeer);
+    }
+
+    // The SFU drops our transports with the old socket; P2P media keeps going
+    if (mediaMode === "sfu") startSfu();
+
+    // Connections that broke while signaling was down need a fresh ICE negotiation
+    if (resumed) {
+        Object.keys(peers).forEach(userId => {
+            if (peers[userId].connectionState !== "connected") restartIce(userId);
+        });
+    }
+});
+
+// Re-announce ourselves after the signaling connection comes back
+socket.io.on("reconnect", () => {
+    if (joined) joinRoom();
+});
+
+// Create the connection + video tile for a remote peer
+function createPeerConnection(userId) {
+    const pc = new RTCPeerConnection({ iceServers });
     peers[userId] = pc;
 
-    // Add local tracks
+    // Add local tracks; without a camera or mic we still want to receive
     localStream.getTracks().forEach(track => pc.addTrack(track, localStream));
+    ["audio", "video"].forEach(kind => {
+        if (!localStream.getTracks().some(track => track.kind === kind)) {
+            pc.addTransceiver(kind, { direction: "recvonly" });
+        }
+    });
+    if (screenStream) screenStream.getTracks().forEach(track => pc.addTrack(track, screenStream));
 
-    // Remote video for moderator (optional)
-    const remoteVideo = document.createElement("video");
-    remoteVideo.autoplay = true;
-    remoteVideo.playsInline = true;
-    videosDiv.appendChild(remoteVideo);
+    const remoteVideo = createTile(userId);
+
+    // Screen shares arrive on their own stream and get their own tile
+    pc.ontrack = e => {
+        const stream = e.streams[0];
+        if (!stream) return;
+
+        const peerId = Object.keys(peers).find(id => peers[id] === pc);
+        if (stream.id === screenStreamIds[peerId]) {
+            showScreenTile(peerId, stream);
+        } else {
+            remoteVideo.srcObject = stream;
+        }
+    };
 
-    pc.ontrack = e => remoteVideo.srcObject = e.streams[0];
+    // The peer's ID changes if it reconnects, so look it up each time
+    const currentId = () => Object.keys(peers).find(id => peers[id] === pc);
+
+    setupDataChannels(pc, currentId);
+
+    // Perfect negotiation: users are polite and back off on glare, moderators are impolite
+    const state = { polite: role !== "moderator", makingOffer: false, ignoreOffer: false };
+    negotiation.set(pc, state);
+
+    // Fires for the first offer and again whenever tracks or ICE restarts need renegotiating
+    pc.onnegotiationneeded = async () => {
+        try {
+            state.makingOffer = true;
+            await pc.setLocalDescription();
+            socket.emit("offer", { offer: pc.localDescription, to: currentId() });
+        } catch (error) {
+            console.error(`Negotiation with ${currentId()} failed:`, error);
+        } finally {
+            state.makingOffer = false;
+        }
+    };
 
     // ICE candidates
     pc.onicecandidate = e => {
         if (e.candidate) {
-            socket.emit("ice-candidate", { to: userId, candidate: e.candidate });
+            socket.emit("ice-candidate", { to: currentId(), candidate: e.candidate });
         }
     };
 
-    const offer = await pc.createOffer();
-    await pc.setLocalDescription(offer);
+    pc.oniceconnectionstatechange = () => {
+        if (pc.iceConnectionState === "closed") {
+            console.log(`Connection to ${currentId()} closed`);
+            removePeer(currentId());
+        }
+    };
 
-    socket.emit("offer", { roomId, offer, to: userId, from: socket.id, fromRole: role });
-});
+    pc.onconnectionstatechange = () => {
+        const connectionState = pc.connectionState;
+        if (connectionState === "connected") {
+            iceRestartAttempts.delete(pc);
+        } else if (connectionState === "failed") {
+            restartIce(currentId());
+        } else if (connectionState === "disconnected") {
+            // "disconnected" often recovers by itself; only restart if it sticks
+            setTimeout(() => {
+                if (pc.connectionState === "disconnected") restartIce(currentId());
+            }, DISCONNECTED_GRACE_MS);
+        }
+    };
 
-// Receive offer
-socket.on("offer", async (data) => {
-    if (data.to !== socket.id) return;
+    return pc;
+}
 
-    const pc = new RTCPeerConnection({ iceServers: [{ urls: "stun:stun.l.google.com:19302" }] });
-    peers[data.from] = pc;
+// Renegotiate ICE on an existing connection; onnegotiationneeded sends the offer
+function restartIce(userId) {
+    const pc = peers[userId];
+    if (!pc) return;
 
-    localStream.getTracks().forEach(track => pc.addTrack(track, localStream));
+    // Retried from joined-room once signaling is back
+    if (!socket.connected) return;
+
+    const attempts = (iceRestartAttempts.get(pc) || 0) + 1;
+    if (attempts > MAX_ICE_RESTARTS) {
+        console.warn(`Giving up on connection to ${userId}`);
+        removePeer(userId);
+        return;
+    }
+    iceRestartAttempts.set(pc, attempts);
+
+    console.log(`Restarting ICE with ${userId} (attempt ${attempts})`);
+    pc.restartIce();
+}
+
+// Add or remove a local track on every connection mid-call; renegotiation is automatic
+function addTrackToPeers(track, stream) {
+    Object.values(peers).forEach(pc => pc.addTrack(track, stream));
+    if (sfu) sfuProduce(track, { screen: stream === screenStream });
+}
+
+function removeTrackFromPeers(track) {
+    if (sfu) sfuCloseProducer(track);
+    Object.values(peers).forEach(pc => {
+        const sender = pc.getSenders().find(s => s.track === track);
+        if (sender) pc.removeTrack(sender);
+    });
+}
+
+// Video tile for a remote peer; moderators get controls for each user
+function createTile(userId) {
+    const tile = document.createElement("div");
+    tile.className = "tile";
 
     const remoteVideo = document.createElement("video");
     remoteVideo.autoplay = true;
     remoteVideo.playsInline = true;
-    videosDiv.appendChild(remoteVideo);
+    applySpeaker(remoteVideo);
+    tile.appendChild(remoteVideo);
 
-    pc.ontrack = e => remoteVideo.srcObject = e.streams[0];
+    // Shown instead of a black frame when the camera is off
+    const avatar = document.createElement("div");
+    avatar.className = "avatar";
+    avatar.textContent = "?";
 
-    pc.onicecandidate = e => {
-        if (e.candidate) {
-            socket.emit("ice-candidate", { to: data.from, candidate: e.candidate });
-        }
-    };
+    const label = document.createElement("span");
+    label.className = "tile-label";
+
+    const mutedIcon = document.createElement("span");
+    mutedIcon.className = "muted-icon";
+    mutedIcon.textContent = "🔇";
+    tile.append(avatar, label, mutedIcon);
+
+    if (role === "moderator") {
+        // Look the ID up on click, it changes if the peer reconnects
+        const tileOwner = () => Object.keys(tiles).find(id => tiles[id] === tile);
+        const controls = document.createElement("div");
+        controls.className = "tile-controls";
+
+        [["Mute", "mute-user"], ["Camera off", "disable-camera"], ["Remove", "kick-user"]].forEach(([label, event]) => {
+            const button = document.createElement("button");
+            button.textContent = label;
+            button.onclick = () => socket.emit(event, { peerId: tileOwner() });
+            controls.appendChild(button);
+        });
+        tile.appendChild(controls);
+    }
+
+    layout.addTile(tile);
+    tiles[userId] = tile;
+    applyMediaState(userId);
+    applyParticipant(userId);
+    return remoteVideo;
+}
+
+// Close the connection to a peer and remove its tile
+function removePeer(userId) {
+    const pc = peers[userId];
+    if (pc) {
+        pc.getReceivers().forEach(receiver => receiver.track && receiver.track.stop());
+        pc.oniceconnectionstatechange = null;
+        pc.onconnectionstatechange = null;
+        pc.onnegotiationneeded = null;
+        pc.close();
+        delete peers[userId];
+    }
+
+    if (activeSpeaker === userId) setActiveSpeaker(null);
+    if (sfu) closeSfuConsumers(userId);
+
+    const tile = tiles[userId];
+    if (tile) {
+        tileResizeObserver.unobserve(tile.querySelector("video"));
+        tileVisibilityObserver.unobserve(tile);
+        visibleTileElements.delete(tile);
+        tile.querySelector("video").srcObject = null;
+        layout.removeTile(tile);
+        delete tiles[userId];
+    }
+
+    removeScreenTile(userId);
+    delete screenStreamIds[userId];
+    delete peerMediaStates[userId];
+}
+
+// Moderator: when new user joins. Adding the local tracks triggers the first offer.
+socket.on("user-joined", (userId) => {
+    if (role !== "moderator" || mediaMode !== "p2p") return;
+
+    createPeerConnection(userId);
+});
+
+// Receive offer, either a new call or a renegotiation of an existing one
+socket.on("offer", async (data) => {
+    if (data.to !== socket.id) return;
+
+    const pc = peers[data.from] || createPeerConnection(data.from);
+    const state = negotiation.get(pc);
 
-    await pc.setRemoteDescription(new RTCSessionDescription(data.offer));
-    const answer = await pc.createAnswer();
-    await pc.setLocalDescription(answer);
+    // Glare: both sides offered at once. The impolite side keeps its own offer.
+    const offerCollision = state.makingOffer || pc.signalingState !== "stable";
+    state.ignoreOffer = !state.polite && offerCollision;
+    if (state.ignoreOffer) {
+        console.log(`Ignoring colliding offer from ${data.from}`);
+        return;
+    }
 
-    socket.emit("answer", { to: data.from, answer, from: socket.id });
+    try {
+        // The polite side rolls back its own pending offer implicitly
+        await applyRemoteDescription(pc, data.offer);
+        await pc.setLocalDescription();
+        socket.emit("answer", { to: data.from, answer: pc.localDescription });
+    } catch (error) {
+        console.error(`Failed to answer offer from ${data.from}:`, error);
+    }
 });
 
-// Receive answer
+// Set the remote description, then add any candidates that arrived before it
+async function applyRemoteDescription(pc, description) {
+    await pc.setRemoteDescription(new RTCSessionDescription(description));
+
+    const queued = pendingCandidates.get(pc) || [];
+    pendingCandidates.delete(pc);
+    for (const candidate of queued) {
+        await addCandidate(pc, candidate);
+    }
+}
+
+async function addCandidate(pc, candidate) {
+    try {
+        await pc.addIceCandidate(new RTCIceCandidate(candidate));
+    } catch (error) {
+        // Candidates for an offer we ignored are expected to fail
+        if (!negotiation.get(pc).ignoreOffer) console.warn("Failed to add ICE candidate:", error);
+    }
+}
+
+// Signaling messages are routed by the server-stamped sender ID
 socket.on("answer", async (data) => {
-    const pc = peers[data.to];
-    if (pc) await pc.setRemoteDescription(data.answer);
+    const pc = peers[data.from];
+    if (!pc) return;
+
+    try {
+        await applyRemoteDescription(pc, data.answer);
+    } catch (error) {
+        console.error(`Failed to apply answer from ${data.from}:`, error);
+    }
 });
 
-// ICE candidate
 socket.on("ice-candidate", async (data) => {
-    const pc = peers[data.to];
-    if (pc) await pc.addIceCandidate(new RTCIceCandidate(data.candidate));
+    const pc = peers[data.from];
+    if (!pc) return;
+
+    if (!pc.remoteDescription) {
+        if (!pendingCandidates.has(pc)) pendingCandidates.set(pc, []);
+        pendingCandidates.get(pc).push(data.candidate);
+        return;
+    }
+
+    await addCandidate(pc, data.candidate);
+});
+
+// A peer left the room
+socket.on("peer-left", ({ peerId }) => {
+    console.log(`Peer ${peerId} left`);
+    removePeer(peerId);
+});
+
+// A peer came back on a new socket: keep its connection and tile under the new ID
+socket.on("peer-reconnected", ({ peerId, previousPeerId }) => {
+    console.log(`Peer ${previousPeerId} reconnected as ${peerId}`);
+
+    if (peers[previousPeerId]) {
+        peers[peerId] = peers[previousPeerId];
+        delete peers[previousPeerId];
+    }
+    if (activeSpeaker === previousPeerId) activeSpeaker = peerId;
+    if (sfu) sfu.consumers.forEach(entry => {
+        if (entry.peerId === previousPeerId) entry.peerId = peerId;
+    });
+    if (speakerCandidate === previousPeerId) speakerCandidate = peerId;
+    [tiles, screenTiles, screenStreamIds, peerMediaStates, participants].forEach(map => {
+        if (map[previousPeerId]) {
+            map[peerId] = map[previousPeerId];
+            delete map[previousPeerId];
+        }
+    });
+
+    const pc = peers[peerId];
+    if (pc && pc.connectionState !== "connected") restartIce(peerId);
+});
+
+// Moderator commands
+socket.on("force-mute", () => {
+    setLocalMedia("audio", false);
+    updateStatus("The moderator muted your microphone.");
+});
+
+socket.on("force-camera-off", () => {
+    setLocalMedia("video", false);
+    updateStatus("The moderator turned off your camera.");
+});
+
+socket.on("kicked", ({ bannedUntil }) => {
+    joined = false;
+    clearTimeout(iceServersTimer);
+    joinBtn.disabled = false;
+    micBtn.hidden = true;
+    cameraBtn.hidden = true;
+    handBtn.hidden = true;
+    chatDiv.hidden = true;
+    peerToolsDiv.hidden = true;
+    stopScreenShare();
+    stopSfu();
+    Object.keys(peers).forEach(removePeer);
+    Object.keys(tiles).forEach(removePeer);
+    const minutes = Math.ceil((bannedUntil - Date.now()) / 60000);
+    updateStatus(`You were removed from the room by the moderator. You can rejoin in ${minutes} min.`);
+});
+
+// Raise hand (user side)
+handBtn.onclick = () => socket.emit(handRaised ? "lower-hand" : "raise-hand");
+
+socket.on("hand-raised", ({ position }) => {
+    handRaised = true;
+    handBtn.textContent = "Lower hand";
+    updateStatus(`Hand raised (#${position} in the queue)`);
+});
+
+socket.on("hand-lowered", ({ reason }) => {
+    handRaised = false;
+    handBtn.textContent = "Raise hand";
+    if (reason === "dismissed") updateStatus("The moderator dismissed your raised hand.");
+});
+
+socket.on("floor-granted", () => {
+    setLocalMedia("audio", true);
+    updateStatus("The moderator gave you the floor. Your microphone is on.");
+});
+
+// Raised hands queue (moderator side), re-sent in full on every change
+socket.on("hand-queue", ({ queue }) => {
+    handList.replaceChildren(...queue.map(({ peerId, displayName }) => {
+        const item = document.createElement("li");
+        item.textContent = `${displayName || "Guest"} `;
+
+        const grantBtn = document.createElement("button");
+        grantBtn.textContent = "Give floor";
+        grantBtn.onclick = () => socket.emit("grant-floor", { peerId });
+
+        const dismissBtn = document.createElement("button");
+        dismissBtn.textContent = "Dismiss";
+        dismissBtn.onclick = () => socket.emit("dismiss-hand", { peerId });
+
+        item.append(grantBtn, dismissBtn);
+        return item;
+    }));
+    handsDiv.hidden = queue.length === 0;
+});
+
+// Chat
+function appendChatMessage({ id, displayName, role: senderRole, text, timestamp, private: isPrivate }) {
+    if (document.getElementById(`chat-${id}`)) return;
+
+    const item = document.createElement("li");
+    item.id = `chat-${id}`;
+    if (isPrivate) item.className = "private";
+
+    const time = new Date(timestamp).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+    const name = displayName || (senderRole === "moderator" ? "Moderator" : "Guest");
+    item.textContent = `[${time}] ${name}${isPrivate ? " (to moderators)" : ""}: ${text}`;
+
+    chatMessages.appendChild(item);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+chatForm.onsubmit = (e) => {
+    e.preventDefault();
+    const text = chatInput.value.trim();
+    if (!text) return;
+
+    socket.emit("chat-message", { text, toModerators: chatPrivate.checked });
+    chatInput.value = "";
+};
+
+socket.on("chat-history", ({ messages }) => messages.forEach(appendChatMessage));
+socket.on("chat-message", appendChatMessage);
+socket.on("chat-error", ({ message }) => updateStatus(message));
+
+// ============================================================================
+// Data channels: reactions, cursor/annotation events and file transfer
+// ============================================================================
+//
+// Every peer connection carries two negotiated channels:
+//   "events" (id 0): JSON { type: "reaction", emoji }
+//                         { type: "cursor", x, y }       x/y are 0..1 over the sender's video
+//                         { type: "annotation", x, y }
+//   "files"  (id 1): JSON { type: "file-start", id, name, size, mime, sha256 }
+//                    then binary chunks, then JSON { type: "file-end", id }
+
+const FILE_CHUNK_SIZE = 16 * 1024;
+const MAX_FILE_SIZE = 50 * 1024 * 1024;
+const MAX_BUFFERED_AMOUNT = 1024 * 1024;
+const CURSOR_INTERVAL_MS = 50;
+const REACTIONS = ["👍", "👏", "😂", "❤️"];
+
+const dataChannels = new WeakMap(); // RTCPeerConnection -> { events, files, sendQueue }
+
+function setupDataChannels(pc, currentId) {
+    // Negotiated with fixed IDs so both ends open them without waiting for ondatachannel
+    const events = pc.createDataChannel("events", { negotiated: true, id: 0 });
+    const files = pc.createDataChannel("files", { negotiated: true, id: 1 });
+    files.binaryType = "arraybuffer";
+    files.bufferedAmountLowThreshold = MAX_BUFFERED_AMOUNT / 4;
+
+    events.onmessage = e => {
+        try {
+            handlePeerEvent(currentId(), JSON.parse(e.data));
+        } catch (error) {
+            console.warn("Bad data channel message:", error);
+        }
+    };
+
+    // One incoming transfer at a time per channel; chunks arrive in order
+    const incoming = { transfer: null };
+    files.onmessage = e => handleFileMessage(currentId(), incoming, e.data);
+
+    dataChannels.set(pc, { events, files, sendQueue: Promise.resolve() });
+}
+
+function openChannels(kind) {
+    return Object.values(peers)
+        .map(pc => dataChannels.get(pc))
+        .filter(channels => channels && channels[kind].readyState === "open");
+}
+
+function broadcastPeerEvent(message) {
+    const data = JSON.stringify(message);
+    openChannels("events").forEach(({ events }) => events.send(data));
+}
+
+// Overlay an element on a remote peer's tile, optionally removing it after a while
+function showOnTile(peerId, element, durationMs) {
+    const tile = tiles[peerId];
+    if (!tile) return;
+    tile.appendChild(element);
+    if (durationMs) setTimeout(() => element.remove(), durationMs);
+}
+
+function handlePeerEvent(peerId, message) {
+    const tile = tiles[peerId];
+    if (!tile) return;
+
+    const clamp = v => Math.min(1, Math.max(0, Number(v) || 0));
+
+    if (message.type === "reaction" && REACTIONS.includes(message.emoji)) {
+        const reaction = document.createElement("span");
+        reaction.className = "reaction";
+        reaction.textContent = message.emoji;
+        showOnTile(peerId, reaction, 3000);
+    } else if (message.type === "cursor") {
+        let cursor = tile.querySelector(".cursor");
+        if (!cursor) {
+            cursor = document.createElement("span");
+            cursor.className = "cursor";
+            tile.appendChild(cursor);
+        }
+        cursor.style.left = `${clamp(message.x) * 100}%`;
+        cursor.style.top = `${clamp(message.y) * 100}%`;
+    } else if (message.type === "annotation") {
+        const marker = document.createElement("span");
+        marker.className = "annotation";
+        marker.style.left = `${clamp(message.x) * 100}%`;
+        marker.style.top = `${clamp(message.y) * 100}%`;
+        showOnTile(peerId, marker, 5000);
+    }
+}
+
+// Pointer position over our own video, relative to its size
+function pointerPosition(e) {
+    const rect = localVideo.getBoundingClientRect();
+    return { x: (e.clientX - rect.left) / rect.width, y: (e.clientY - rect.top) / rect.height };
+}
+
+let lastCursorSent = 0;
+localVideo.addEventListener("pointermove", e => {
+    const now = Date.now();
+    if (now - lastCursorSent < CURSOR_INTERVAL_MS) return;
+    lastCursorSent = now;
+    broadcastPeerEvent({ type: "cursor", ...pointerPosition(e) });
+});
+
+localVideo.addEventListener("click", e => {
+    broadcastPeerEvent({ type: "annotation", ...pointerPosition(e) });
+});
+
+document.querySelectorAll("#reactions button").forEach(button => {
+    button.onclick = () => broadcastPeerEvent({ type: "reaction", emoji: button.dataset.emoji });
+});
+
+async function sha256Hex(buffer) {
+    const digest = await crypto.subtle.digest("SHA-256", buffer);
+    return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+function addTransferItem(text) {
+    const item = document.createElement("li");
+    item.textContent = text;
+    transfersList.appendChild(item);
+    return item;
+}
+
+function waitForBufferedAmountLow(channel) {
+    return new Promise(resolve => {
+        channel.addEventListener("bufferedamountlow", resolve, { once: true });
+        channel.addEventListener("close", resolve, { once: true });
+    });
+}
+
+async function sendFileOver(channel, header, buffer, onProgress) {
+    channel.send(JSON.stringify({ type: "file-start", ...header }));
+
+    for (let offset = 0; offset < buffer.byteLength; offset += FILE_CHUNK_SIZE) {
+        if (channel.bufferedAmount > MAX_BUFFERED_AMOUNT) await waitForBufferedAmountLow(channel);
+        if (channel.readyState !== "open") throw new Error("Data channel closed");
+
+        const chunk = buffer.slice(offset, offset + FILE_CHUNK_SIZE);
+        channel.send(chunk);
+        onProgress(chunk.byteLength);
+    }
+
+    channel.send(JSON.stringify({ type: "file-end", id: header.id }));
+}
+
+// Send a file to every connected peer
+async function sendFile(file) {
+    if (file.size > MAX_FILE_SIZE) {
+        updateStatus(`Files are limited to ${MAX_FILE_SIZE / 1024 / 1024} MB`);
+        return;
+    }
+
+    const targets = openChannels("files");
+    if (!targets.length) {
+        updateStatus("Nobody to send the file to yet");
+        return;
+    }
+
+    const item = addTransferItem(`Sending ${file.name}...`);
+    const buffer = await file.arrayBuffer();
+    const header = {
+        id: Math.random().toString(36).slice(2),
+        name: file.name,
+        size: file.size,
+        mime: file.type,
+        sha256: await sha256Hex(buffer),
+    };
+
+    const total = buffer.byteLength * targets.length;
+    let sent = 0;
+    const onProgress = bytes => {
+        sent += bytes;
+        item.textContent = `Sending ${file.name}: ${Math.round(sent / total * 100)}%`;
+    };
+
+    // Transfers on the same channel are queued so their chunks never interleave
+    const results = await Promise.allSettled(targets.map(channels => {
+        channels.sendQueue = channels.sendQueue
+            .catch(() => {})
+            .then(() => sendFileOver(channels.files, header, buffer, onProgress));
+        return channels.sendQueue;
+    }));
+
+    const failed = results.filter(r => r.status === "rejected").length;
+    item.textContent = failed
+        ? `Sending ${file.name}: failed for ${failed} of ${targets.length} peers`
+        : `Sent ${file.name}`;
+}
+
+async function handleFileMessage(peerId, incoming, data) {
+    if (typeof data !== "string") {
+        const transfer = incoming.transfer;
+        if (!transfer) return;
+
+        transfer.chunks.push(data);
+        transfer.received += data.byteLength;
+        if (transfer.received > transfer.size) {
+            transfer.item.textContent = `Receiving ${transfer.name}: more data than announced, discarded`;
+            incoming.transfer = null;
+            return;
+        }
+        transfer.item.textContent = `Receiving ${transfer.name}: ${Math.round(transfer.received / transfer.size * 100)}%`;
+        return;
+    }
+
+    let message;
+    try {
+        message = JSON.parse(data);
+    } catch (error) {
+        console.warn("Bad file channel message:", error);
+        return;
+    }
+
+    if (message.type === "file-start") {
+        const size = Number(message.size);
+        if (!(size >= 0 && size <= MAX_FILE_SIZE)) return;
+
+        const name = String(message.name || "file").slice(0, 200);
+        incoming.transfer = {
+            ...message,
+            name,
+            size,
+            chunks: [],
+            received: 0,
+            item: addTransferItem(`Receiving ${name} from ${peerId}...`),
+        };
+    } else if (message.type === "file-end" && incoming.transfer && incoming.transfer.id === message.id) {
+        const transfer = incoming.transfer;
+        incoming.transfer = null;
+
+        const blob = new Blob(transfer.chunks, { type: transfer.mime || "application/octet-stream" });
+        const hash = await sha256Hex(await blob.arrayBuffer());
+        if (blob.size !== transfer.size || hash !== transfer.sha256) {
+            transfer.item.textContent = `Receiving ${transfer.name}: integrity check failed, discarded`;
+            return;
+        }
+
+        const link = document.createElement("a");
+        link.href = URL.createObjectURL(blob);
+        link.download = transfer.name;
+        link.textContent = `Download ${transfer.name}`;
+        transfer.item.replaceChildren(link);
+    }
+}
+
+fileInput.onchange = () => {
+    const file = fileInput.files[0];
+    fileInput.value = "";
+    if (file) sendFile(file);
+};
+
+// ============================================================================
+// Screen sharing
+// ============================================================================
+
+function showScreenTile(peerId, stream) {
+    let tile = screenTiles[peerId];
+    if (!tile) {
+        tile = document.createElement("div");
+        tile.className = "tile screen";
+
+        const video = document.createElement("video");
+        video.autoplay = true;
+        video.playsInline = true;
+        video.muted = true;
+        applySpeaker(video);
+
+        const label = document.createElement("span");
+        label.className = "tile-label";
+        label.textContent = "Screen";
+
+        tile.append(video, label);
+        layout.addTile(tile, { first: true });
+        screenTiles[peerId] = tile;
+        applyParticipant(peerId);
+    }
+    tile.querySelector("video").srcObject = stream;
+}
+
+function removeScreenTile(peerId) {
+    const tile = screenTiles[peerId];
+    if (!tile) return;
+    tile.querySelector("video").srcObject = null;
+    layout.removeTile(tile);
+    delete screenTiles[peerId];
+}
+
+function updateShareButton() {
+    shareBtn.hidden = !joined || (role !== "moderator" && !userScreenShareAllowed && !screenStream);
+    shareBtn.textContent = screenStream ? "Stop sharing" : "Share screen";
+}
+
+async function startScreenShare() {
+    if (screenStream) return;
+
+    let stream;
+    try {
+        stream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: false });
+    } catch (error) {
+        console.warn("Screen share cancelled or failed:", error);
+        return;
+    }
+
+    screenStream = stream;
+    const [track] = stream.getVideoTracks();
+    // Fired when the user stops sharing from the browser's own control
+    track.onended = stopScreenShare;
+
+    localScreen.srcObject = stream;
+    localScreenTile.hidden = false;
+    layout.update();
+
+    // Announce the stream first so receivers can tell it apart from the camera
+    socket.emit("screen-share-start", { streamId: stream.id });
+    addTrackToPeers(track, stream);
+    updateShareButton();
+}
+
+// The camera track was never touched, so stopping only removes the extra track
+function stopScreenShare() {
+    if (!screenStream) return;
+
+    const stream = screenStream;
+    screenStream = null;
+    stream.getTracks().forEach(track => {
+        track.onended = null;
+        removeTrackFromPeers(track);
+        track.stop();
+    });
+
+    localScreen.srcObject = null;
+    localScreenTile.hidden = true;
+    layout.update();
+    socket.emit("screen-share-stop");
+    updateShareButton();
+}
+
+shareBtn.onclick = () => (screenStream ? stopScreenShare() : startScreenShare());
+
+sharePolicyInput.onchange = () => {
+    socket.emit("set-screen-share-policy", { allowed: sharePolicyInput.checked });
+};
+
+socket.on("screen-share-policy", ({ allowed }) => {
+    userScreenShareAllowed = allowed;
+    sharePolicyInput.checked = allowed;
+    updateShareButton();
+});
+
+socket.on("screen-share-state", ({ peerId, streamId, active }) => {
+    if (active) {
+        screenStreamIds[peerId] = streamId;
+        return;
+    }
+
+    delete screenStreamIds[peerId];
+    removeScreenTile(peerId);
+});
+
+socket.on("screen-share-denied", ({ message }) => {
+    stopScreenShare();
+    updateStatus(message);
+});
+
+socket.on("screen-share-revoked", () => {
+    stopScreenShare();
+    updateStatus("The moderator turned off screen sharing for users.");
+});
+
+// ============================================================================
+// Device selection
+// ============================================================================
+
+// Output device selection needs HTMLMediaElement.setSinkId (not in Safari/Firefox by default)
+const canSelectSpeaker = "setSinkId" in HTMLMediaElement.prototype;
+if (!canSelectSpeaker) speakerLabel.hidden = true;
+
+let speakerId = "";
+const switchingDevice = {}; // kind -> true while a switch is in progress
+
+function fillDeviceSelect(select, devices, currentId, fallbackLabel) {
+    select.replaceChildren(...devices.map((device, index) => {
+        const option = document.createElement("option");
+        option.value = device.deviceId;
+        option.textContent = device.label || `${fallbackLabel} ${index + 1}`;
+        return option;
+    }));
+    if (devices.some(device => device.deviceId === currentId)) select.value = currentId;
+}
+
+function currentDeviceId(kind) {
+    if (!localStream) return "";
+    const track = kind === "videoinput" ? localStream.getVideoTracks()[0] : localStream.getAudioTracks()[0];
+    return track ? track.getSettings().deviceId : "";
+}
+
+async function refreshDeviceLists() {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    const ofKind = kind => devices.filter(device => device.kind === kind);
+
+    fillDeviceSelect(cameraSelect, ofKind("videoinput"), currentDeviceId("videoinput"), "Camera");
+    fillDeviceSelect(micSelect, ofKind("audioinput"), currentDeviceId("audioinput"), "Microphone");
+    if (canSelectSpeaker) fillDeviceSelect(speakerSelect, ofKind("audiooutput"), speakerId, "Speaker");
+
+    return devices;
+}
+
+// Swap the camera or mic in place: replaceTrack on every sender, so no renegotiation
+async function switchDevice(kind, deviceId) {
+    // An unplug fires both "ended" and "devicechange"; handle it once
+    if (switchingDevice[kind]) return;
+    switchingDevice[kind] = true;
+    try {
+        await replaceLocalDevice(kind, deviceId);
+    } finally {
+        switchingDevice[kind] = false;
+    }
+}
+
+async function replaceLocalDevice(kind, deviceId) {
+    const isVideo = kind === "videoinput";
+    const oldTrack = isVideo ? localStream.getVideoTracks()[0] : localStream.getAudioTracks()[0];
+    const constraints = deviceId ? { deviceId: { exact: deviceId } } : true;
+
+    let newTrack;
+    try {
+        const stream = await navigator.mediaDevices.getUserMedia(isVideo ? { video: constraints } : { audio: constraints });
+        newTrack = isVideo ? stream.getVideoTracks()[0] : stream.getAudioTracks()[0];
+    } catch (error) {
+        console.error(`Could not switch ${isVideo ? "camera" : "microphone"}:`, error);
+        updateStatus(`Could not switch ${isVideo ? "camera" : "microphone"}: ${error.message}`);
+        refreshDeviceLists();
+        return;
+    }
+
+    // Keep the mute / camera-off state across the swap
+    if (oldTrack) newTrack.enabled = oldTrack.enabled;
+
+    await Promise.all(Object.values(peers).map(pc => {
+        const sender = pc.getSenders().find(s => s.track === oldTrack);
+        return sender ? sender.replaceTrack(newTrack) : Promise.resolve();
+    }));
+    if (sfu) await sfuReplaceTrack(oldTrack, newTrack);
+
+    if (oldTrack) {
+        localStream.removeTrack(oldTrack);
+        oldTrack.onended = null;
+        oldTrack.stop();
+    }
+    localStream.addTrack(newTrack);
+    watchLocalTracks();
+
+    // Re-attach so the preview picks up the new video track
+    if (isVideo) localVideo.srcObject = localStream;
+    else startMicMeter();
+    refreshDeviceLists();
+}
+
+function applySpeaker(video) {
+    if (canSelectSpeaker && speakerId) {
+        video.setSinkId(speakerId).catch(error => console.warn("Could not set speaker:", error));
+    }
+}
+
+// An unplugged device ends its track; fall back to the default device
+function watchLocalTracks() {
+    localStream.getTracks().forEach(track => {
+        track.onended = () => {
+            console.warn(`${track.kind} device disconnected, switching to default`);
+            updateStatus(`Your ${track.kind === "video" ? "camera" : "microphone"} was disconnected. Switching to the default device.`);
+            switchDevice(track.kind === "video" ? "videoinput" : "audioinput", "");
+        };
+    });
+}
+
+cameraSelect.onchange = () => switchDevice("videoinput", cameraSelect.value);
+micSelect.onchange = () => switchDevice("audioinput", micSelect.value);
+
+speakerSelect.onchange = () => {
+    speakerId = speakerSelect.value;
+    videosDiv.querySelectorAll(".tile video").forEach(applySpeaker);
+};
+
+navigator.mediaDevices.addEventListener("devicechange", async () => {
+    if (!localStream) return;
+    const devices = await refreshDeviceLists();
+
+    // A removed headset may not end the track in every browser, so check the list too
+    ["videoinput", "audioinput"].forEach(kind => {
+        const id = currentDeviceId(kind);
+        if (id && !devices.some(device => device.kind === kind && device.deviceId === id)) {
+            switchDevice(kind, "");
+        }
+    });
+
+    // The chosen speaker was unplugged: go back to the system default
+    if (speakerId && !devices.some(device => device.kind === "audiooutput" && device.deviceId === speakerId)) {
+        speakerId = "";
+        videosDiv.querySelectorAll(".tile video").forEach(video => video.setSinkId && video.setSinkId(""));
+    }
+});
+
+// ============================================================================
+// Pre-join device check
+// ============================================================================
+
+/**
+ * Turn a getUserMedia error into a message the user can act on
+ * (permission denied, no device, device in use, ...)
+ */
+function describeMediaError(error) {
+    if (!window.isSecureContext) {
+        return "Camera and microphone need HTTPS (or localhost). Please open this page over HTTPS.";
+    }
+
+    switch (error.name) {
+        case "NotAllowedError":
+        case "PermissionDeniedError":
+            return "Camera and microphone access was denied. Allow it in your browser's site settings and try again.";
+        case "NotFoundError":
+        case "DevicesNotFoundError":
+            return "No camera or microphone was found. Connect a device and try again.";
+        case "NotReadableError":
+        case "TrackStartError":
+            return "Your camera or microphone is already in use by another application. Close it and try again.";
+        case "OverconstrainedError":
+        case "ConstraintNotSatisfiedError":
+            return "The selected device is no longer available. Pick another one and try again.";
+        default:
+            return `Could not access camera and microphone: ${error.message || error.name}`;
+    }
+}
+
+let micMeter; // { context, source, frame }
+
+function stopMicMeter() {
+    if (!micMeter) return;
+    cancelAnimationFrame(micMeter.frame);
+    micMeter.source.disconnect();
+    micMeter.context.close();
+    micMeter = null;
+    micLevel.value = 0;
+}
+
+// Live mic level from the RMS of the analyser's time-domain samples
+function startMicMeter() {
+    stopMicMeter();
+    const [track] = localStream ? localStream.getAudioTracks() : [];
+    if (!track || prejoinDiv.hidden) return;
+
+    const context = new AudioContext();
+    const source = context.createMediaStreamSource(new MediaStream([track]));
+    const analyser = context.createAnalyser();
+    analyser.fftSize = 512;
+    source.connect(analyser);
+
+    const samples = new Float32Array(analyser.fftSize);
+    micMeter = { context, source, frame: 0 };
+
+    const update = () => {
+        analyser.getFloatTimeDomainData(samples);
+        const rms = Math.sqrt(samples.reduce((sum, v) => sum + v * v, 0) / samples.length);
+        micLevel.value = Math.min(1, rms * 4);
+        micMeter.frame = requestAnimationFrame(update);
+    };
+    update();
+}
+
+async function startPreview() {
+    mediaErrorEl.hidden = true;
+    retryMediaBtn.hidden = true;
+    joinBtn.disabled = true;
+
+    if (localStream) localStream.getTracks().forEach(track => track.stop());
+
+    try {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            throw Object.assign(new Error("getUserMedia is not supported in this browser"), { name: "NotSupportedError" });
+        }
+
+        const deviceConstraint = select => (select.value ? { deviceId: { exact: select.value } } : true);
+        localStream = await navigator.mediaDevices.getUserMedia({
+            video: deviceConstraint(cameraSelect),
+            audio: deviceConstraint(micSelect),
+        });
+    } catch (error) {
+        console.error("Media error:", error);
+        mediaErrorEl.textContent = `${describeMediaError(error)}\nYou can still join without camera and microphone.`;
+        mediaErrorEl.hidden = false;
+        retryMediaBtn.hidden = false;
+        localStream = new MediaStream();
+    }
+
+    localVideo.srcObject = localStream;
+    watchLocalTracks();
+    await refreshDeviceLists();
+    startMicMeter();
+    joinBtn.disabled = false;
+}
+
+retryMediaBtn.onclick = startPreview;
+
+startPreview();
+
+// ============================================================================
+// Mute / camera toggles
+// ============================================================================
+
+// Tracks are only disabled (black frames / silence), so nothing is renegotiated
+function localTracks(kind) {
+    return kind === "audio" ? localStream.getAudioTracks() : localStream.getVideoTracks();
+}
+
+function isLocalMediaOn(kind) {
+    return localTracks(kind).some(track => track.enabled);
+}
+
+function setLocalMedia(kind, on) {
+    localTracks(kind).forEach(track => track.enabled = on);
+    updateMediaButtons();
+    broadcastMediaState();
+}
+
+function broadcastMediaState() {
+    if (!joined) return;
+    socket.emit("media-state", { audio: isLocalMediaOn("audio"), video: isLocalMediaOn("video") });
+}
+
+function updateMediaButtons() {
+    const hasAudio = localTracks("audio").length > 0;
+    const hasVideo = localTracks("video").length > 0;
+
+    micBtn.disabled = !hasAudio;
+    cameraBtn.disabled = !hasVideo;
+    micBtn.textContent = isLocalMediaOn("audio") ? "Mute" : "Unmute";
+    cameraBtn.textContent = isLocalMediaOn("video") ? "Stop camera" : "Start camera";
+    localVideo.classList.toggle("video-off", !isLocalMediaOn("video"));
+}
+
+function applyMediaState(peerId) {
+    const tile = tiles[peerId];
+    const state = peerMediaStates[peerId];
+    if (!tile || !state) return;
+
+    tile.classList.toggle("audio-off", !state.audio);
+    tile.classList.toggle("video-off", !state.video);
+}
+
+micBtn.onclick = () => setLocalMedia("audio", !isLocalMediaOn("audio"));
+cameraBtn.onclick = () => setLocalMedia("video", !isLocalMediaOn("video"));
+
+socket.on("media-state", ({ peerId, audio, video }) => {
+    peerMediaStates[peerId] = { audio, video };
+    applyMediaState(peerId);
+});
+
+// ============================================================================
+// Participant roster
+// ============================================================================
+
+function participantName(peerId) {
+    const participant = participants[peerId];
+    if (participant && participant.displayName) return participant.displayName;
+    return participant && participant.role === "moderator" ? "Moderator" : "Guest";
+}
+
+function renderAvatar(el, participant) {
+    if (participant.avatarUrl) {
+        const img = document.createElement("img");
+        img.src = participant.avatarUrl;
+        img.alt = "";
+        // Our page URL can hold an invite token
+        img.referrerPolicy = "no-referrer";
+        // Fall back to initials if the image can't be loaded
+        img.onerror = () => el.textContent = participant.initials;
+        el.replaceChildren(img);
+    } else {
+        el.textContent = participant.initials;
+    }
+}
+
+// Label the peer's tiles with its name and avatar
+function applyParticipant(peerId) {
+    const participant = participants[peerId];
+    if (!participant) return;
+
+    const tile = tiles[peerId];
+    if (tile) {
+        tile.querySelector(".tile-label").textContent = participantName(peerId);
+        renderAvatar(tile.querySelector(".avatar"), participant);
+    }
+    const screenTile = screenTiles[peerId];
+    if (screenTile) {
+        screenTile.querySelector(".tile-label").textContent = `${participantName(peerId)} (screen)`;
+    }
+}
+
+function renderRoster() {
+    rosterList.replaceChildren(...Object.values(participants).map(participant => {
+        const item = document.createElement("li");
+
+        const avatar = document.createElement("span");
+        avatar.className = "roster-avatar";
+        renderAvatar(avatar, participant);
+
+        const you = participant.peerId === socket.id ? " (you)" : "";
+        const details = [
+            participant.role,
+            !participant.audio && "muted",
+            !participant.video && "camera off",
+            participant.reconnecting && "reconnecting…",
+        ].filter(Boolean).join(", ");
+
+        item.append(avatar, ` ${participantName(participant.peerId)}${you} — ${details}`);
+        return item;
+    }));
+    rosterDiv.hidden = false;
+}
+
+// Sent by the server on join and whenever someone joins, leaves or changes media state
+socket.on("roster", ({ participants: list }) => {
+    participants = {};
+    list.forEach(participant => {
+        participants[participant.peerId] = participant;
+        // Keep tiles in step even if a media-state event was missed while reconnecting
+        if (participant.peerId !== socket.id) {
+            peerMediaStates[participant.peerId] = { audio: participant.audio, video: participant.video };
+            applyMediaState(participant.peerId);
+            applyParticipant(participant.peerId);
+        }
+    });
+    renderRoster();
+});
+
+// ============================================================================
+// Active speaker
+// ============================================================================
+
+const SPEAKER_POLL_MS = 200;
+const SPEAKER_THRESHOLD = 0.05; // audioLevel 0..1, below this counts as silence
+const SPEAKER_SWITCH_MS = 800; // someone must be loudest this long to take over
+
+let activeSpeaker = null;
+let speakerCandidate = null;
+let speakerCandidateSince = 0;
+
+// Audio level of the last packets received from the peer, 0 when unknown
+function remoteAudioLevel(pc) {
+    const receiver = pc.getReceivers().find(r => r.track && r.track.kind === "audio");
+    if (!receiver || !receiver.getSynchronizationSources) return 0;
+    return receiver.getSynchronizationSources().reduce((max, source) => Math.max(max, source.audioLevel || 0), 0);
+}
+
+function setActiveSpeaker(peerId) {
+    if (activeSpeaker && tiles[activeSpeaker]) tiles[activeSpeaker].classList.remove("active-speaker");
+    activeSpeaker = peerId;
+    if (activeSpeaker && tiles[activeSpeaker]) tiles[activeSpeaker].classList.add("active-speaker");
+    layout.setSpeaker(tiles[activeSpeaker]);
+}
+
+// Silence keeps the current speaker; a new one has to stay loudest for SPEAKER_SWITCH_MS
+function pollAudioLevels() {
+    let loudest = null;
+    let loudestLevel = SPEAKER_THRESHOLD;
+    Object.entries(peers).forEach(([peerId, pc]) => {
+        const level = remoteAudioLevel(pc);
+        if (level > loudestLevel) {
+            loudest = peerId;
+            loudestLevel = level;
+        }
+    });
+
+    if (!loudest || loudest === activeSpeaker) {
+        speakerCandidate = null;
+        return;
+    }
+
+    const now = performance.now();
+    if (loudest !== speakerCandidate) {
+        speakerCandidate = loudest;
+        speakerCandidateSince = now;
+    } else if (now - speakerCandidateSince >= SPEAKER_SWITCH_MS) {
+        setActiveSpeaker(loudest);
+        speakerCandidate = null;
+    }
+}
+
+setInterval(pollAudioLevels, SPEAKER_POLL_MS);
+
+layoutSelect.onchange = () => layout.setMode(layoutSelect.value);
+
+// ============================================================================
+// SFU mode (mediasoup)
+// ============================================================================
+
+// Rooms the server runs in "sfu" mode send media through its router instead of one
+// RTCPeerConnection per peer. Roles, chat, roster and moderator controls work the same.
+
+const SFU_REQUEST_TIMEOUT_MS = 10000;
+
+// Camera video is sent in three layers so the SFU can forward each receiver the one that
+// fits its tile and bandwidth (heights/bitrates must match VIDEO_LAYERS in sfu.js).
+// VP8 and H264 use simulcast; VP9 carries the same layers as SVC in one encoding.
+const SIMULCAST_ENCODINGS = [
+    { scaleResolutionDownBy: 4, maxBitrate: 100000 },
+    { scaleResolutionDownBy: 2, maxBitrate: 300000 },
+    { scaleResolutionDownBy: 1, maxBitrate: 900000 },
+];
+const SVC_ENCODINGS = [{ scalabilityMode: "L3T3_KEY" }];
+const LAYER_REPORT_DELAY_MS = 500;
+
+// Video codec to send in SFU rooms, e.g. /?videoCodec=vp9
+const preferredVideoCodec = (params.get("videoCodec") || "vp8").toLowerCase();
+
+const MAX_SFU_RESTARTS = 3;
+
+// { device, transports: { send, recv } (Promise<Transport>, created on first use),
+//   producers: Map<trackId, Producer>, consumers: Map<consumerId, { consumer, peerId, screen }>,
+//   consuming: Set<producerId> }
+let sfu = null;
+let sfuRestarts = 0; // reset once a transport connects
+
+// Reports each remote video's size so the SFU can pick a matching layer
+const tileResizeObserver = new ResizeObserver(entries => entries.forEach(entry => reportTileSize(entry.target)));
+const layerReportTimers = new WeakMap(); // <video> -> timeout
+
+// The SFU pauses videos we can't see, so tell it which tiles are on screen
+const VISIBILITY_REPORT_DELAY_MS = 300;
+const visibleTileElements = new Set();
+let visibilityReportTimer;
+const tileVisibilityObserver = new IntersectionObserver(entries => {
+    entries.forEach(entry => {
+        if (entry.isIntersecting) visibleTileElements.add(entry.target);
+        else visibleTileElements.delete(entry.target);
+    });
+    reportVisibleTiles();
+});
+
+// Socket.IO request with an acknowledgement; the server answers with a result or { error }
+function sfuRequest(event, data = {}) {
+    return new Promise((resolve, reject) => {
+        socket.timeout(SFU_REQUEST_TIMEOUT_MS).emit(event, data, (err, response) => {
+            if (err) reject(new Error(`${event} timed out`));
+            else if (response && response.error) reject(new Error(response.error));
+            else resolve(response);
+        });
+    });
+}
+
+async function startSfu() {
+    stopSfu();
+
+    try {
+        const { routerRtpCapabilities } = await sfuRequest("sfu-join");
+
+        const device = new mediasoupClient.Device();
+        await device.load({ routerRtpCapabilities });
+
+        sfu = { device, transports: {}, producers: new Map(), consumers: new Map(), consuming: new Set() };
+
+        localStream.getTracks().forEach(track => sfuProduce(track));
+        if (screenStream) screenStream.getTracks().forEach(track => sfuProduce(track, { screen: true }));
+
+        const { producers } = await sfuRequest("get-producers");
+        producers.forEach(sfuConsume);
+    } catch (error) {
+        console.error("Could not connect to the media server:", error);
+        updateStatus(`Could not connect to the media server: ${error.message}`);
+    }
+}
+
+// Closing the transports also closes every producer and consumer on them
+function stopSfu() {
+    if (!sfu) return;
+    Object.values(sfu.transports).forEach(pending => pending.then(transport => transport.close(), () => {}));
+    sfu = null;
+}
+
+// The send transport is only opened once there is something to send, and the receive
+// transport once there is something to receive
+function sfuTransport(direction) {
+    const current = sfu;
+    if (!current.transports[direction]) {
+        const pending = createSfuTransport(current, direction);
+        current.transports[direction] = pending;
+        // Let the next caller try again
+        pending.catch(() => {
+            if (current.transports[direction] === pending) delete current.transports[direction];
+        });
+    }
+    return current.transports[direction];
+}
+
+async function createSfuTransport(current, direction) {
+    const params = await sfuRequest("create-transport", { direction });
+    const transport = direction === "send"
+        ? current.device.createSendTransport({ ...params, iceServers })
+        : current.device.createRecvTransport({ ...params, iceServers });
+
+    transport.on("connect", ({ dtlsParameters }, callback, errback) => {
+        sfuRequest("connect-transport", { transportId: transport.id, dtlsParameters }).then(callback, errback);
+    });
+
+    if (direction === "send") {
+        transport.on("produce", ({ kind, rtpParameters, appData }, callback, errback) => {
+            sfuRequest("produce", { transportId: transport.id, kind, rtpParameters, appData })
+                .then(({ id }) => callback({ id }), errback);
+        });
+    }
+
+    // Same recovery as the P2P connections: restart ICE on failure, or if a drop doesn't heal
+    transport.on("connectionstatechange", state => {
+        if (state === "connected") {
+            sfuRestarts = 0;
+        } else if (state === "failed") {
+            restartSfuIce(transport);
+        } else if (state === "disconnected") {
+            setTimeout(() => {
+                if (transport.connectionState === "disconnected") restartSfuIce(transport);
+            }, DISCONNECTED_GRACE_MS);
+        }
+    });
+
+    return transport;
+}
+
+async function sfuTransportList() {
+    if (!sfu) return [];
+    const results = await Promise.allSettled(Object.values(sfu.transports));
+    return results.filter(result => result.status === "fulfilled").map(result => result.value);
+}
+
+async function restartSfuIce(transport) {
+    // Retried from joined-room once signaling is back
+    if (transport.closed || !socket.connected) return;
+
+    try {
+        const { iceParameters } = await sfuRequest("restart-ice", { transportId: transport.id });
+        await transport.restartIce({ iceParameters });
+        console.log(`Restarted ICE on SFU transport ${transport.id}`);
+    } catch (error) {
+        console.warn("SFU ICE restart failed:", error.message);
+    }
+}
+
+// Simulcast / SVC options for camera video; audio and screen shares are sent as one layer
+function produceOptions(track, screen) {
+    if (track.kind !== "video" || screen) return {};
+
+    const codec = sfu.device.rtpCapabilities.codecs.find(c => c.mimeType.toLowerCase() === `video/${preferredVideoCodec}`);
+    const svc = codec && preferredVideoCodec === "vp9";
+    return {
+        codec,
+        encodings: svc ? SVC_ENCODINGS : SIMULCAST_ENCODINGS,
+        codecOptions: { videoGoogleStartBitrate: 1000 },
+    };
+}
+
+async function sfuProduce(track, { screen = false } = {}) {
+    if (!sfu || !sfu.device.canProduce(track.kind)) return;
+
+    const current = sfu;
+    try {
+        const transport = await sfuTransport("send");
+        const producer = await transport.produce({ track, ...produceOptions(track, screen), appData: { screen } });
+        current.producers.set(track.id, producer);
+    } catch (error) {
+        console.error(`Could not send ${track.kind}:`, error);
+    }
+}
+
+function sfuCloseProducer(track) {
+    const producer = sfu.producers.get(track.id);
+    if (!producer) return;
+
+    producer.close();
+    sfu.producers.delete(track.id);
+    sfuRequest("close-producer", { producerId: producer.id }).catch(error => console.warn(error.message));
+}
+
+// Device switches swap the track in place, the same as replaceTrack on P2P senders
+async function sfuReplaceTrack(oldTrack, newTrack) {
+    const producer = oldTrack && sfu.producers.get(oldTrack.id);
+    if (!producer) {
+        await sfuProduce(newTrack);
+        return;
+    }
+
+    await producer.replaceTrack({ track: newTrack });
+    sfu.producers.delete(oldTrack.id);
+    sfu.producers.set(newTrack.id, producer);
+}
+
+async function sfuConsume({ peerId, producerId, appData }) {
+    if (!sfu || sfu.consuming.has(producerId)) return;
+    const current = sfu;
+    current.consuming.add(producerId);
+
+    try {
+        const transport = await sfuTransport("recv");
+        const params = await sfuRequest("consume", {
+            transportId: transport.id,
+            producerId,
+            rtpCapabilities: current.device.rtpCapabilities,
+        });
+        const consumer = await transport.consume(params);
+        const screen = Boolean(appData && appData.screen);
+        current.consumers.set(consumer.id, { consumer, peerId, screen });
+        attachSfuTrack(peerId, consumer.track, screen);
+
+        // The server may keep it paused if the tile isn't relevant right now
+        const { paused } = await sfuRequest("resume-consumer", { consumerId: consumer.id });
+        if (consumer.kind === "video" && !screen && tiles[peerId]) tiles[peerId].classList.toggle("video-paused", paused);
+    } catch (error) {
+        current.consuming.delete(producerId);
+        console.error(`Could not receive ${producerId} from ${peerId}:`, error);
+    }
+}
+
+// Camera and mic share the peer's tile; a screen share gets its own
+function attachSfuTrack(peerId, track, screen) {
+    if (screen) {
+        showScreenTile(peerId, new MediaStream([track]));
+        return;
+    }
+
+    if (!tiles[peerId]) createTile(peerId);
+    const video = tiles[peerId].querySelector("video");
+    const tracks = video.srcObject ? video.srcObject.getTracks() : [];
+    video.srcObject = new MediaStream([...tracks.filter(t => t.kind !== track.kind), track]);
+    if (track.kind === "video") {
+        tileResizeObserver.observe(video);
+        tileVisibilityObserver.observe(tiles[peerId]);
+        reportTileSize(video);
+    }
+}
+
+// Debounced like reportTileSize; scrolling changes many tiles at once
+function reportVisibleTiles() {
+    clearTimeout(visibilityReportTimer);
+    visibilityReportTimer = setTimeout(() => {
+        if (!sfu) return;
+
+        const peerIds = Object.keys(tiles).filter(id => visibleTileElements.has(tiles[id]));
+        const pinnedPeerId = Object.keys(tiles).find(id => tiles[id].classList.contains("pinned")) || null;
+        sfuRequest("set-visible-tiles", { peerIds, pinnedPeerId })
+            .catch(error => console.warn("Could not report visible tiles:", error.message));
+    }, VISIBILITY_REPORT_DELAY_MS);
+}
+
+// Debounced, since the layout resizes every tile at once
+function reportTileSize(video) {
+    clearTimeout(layerReportTimers.get(video));
+    layerReportTimers.set(video, setTimeout(() => {
+        const track = video.srcObject && video.srcObject.getVideoTracks()[0];
+        const entry = sfu && [...sfu.consumers.values()].find(({ consumer }) => consumer.track === track);
+        if (!entry || !video.clientHeight) return;
+
+        sfuRequest("set-preferred-layers", {
+            consumerId: entry.consumer.id,
+            height: Math.round(video.clientHeight * window.devicePixelRatio),
+        }).catch(error => console.warn("Could not set preferred layers:", error.message));
+    }, LAYER_REPORT_DELAY_MS));
+}
+
+function detachSfuTrack({ consumer, peerId, screen }) {
+    if (screen) {
+        removeScreenTile(peerId);
+        return;
+    }
+
+    const tile = tiles[peerId];
+    const stream = tile && tile.querySelector("video").srcObject;
+    if (stream) stream.removeTrack(consumer.track);
+}
+
+function closeSfuConsumers(peerId) {
+    sfu.consumers.forEach((entry, consumerId) => {
+        if (entry.peerId !== peerId) return;
+        entry.consumer.close();
+        sfu.consumers.delete(consumerId);
+    });
+}
+
+socket.on("new-producer", producer => {
+    if (sfu) sfuConsume(producer);
+});
+
+// The producer was closed: its owner left, stopped sharing or switched off the SFU
+socket.on("consumer-closed", ({ consumerId }) => {
+    const entry = sfu && sfu.consumers.get(consumerId);
+    if (!entry) return;
+
+    entry.consumer.close();
+    sfu.consumers.delete(consumerId);
+    detachSfuTrack(entry);
+});
+
+// The server's view of our transports; it can notice a dead path before the browser does
+socket.on("transport-state", ({ transportId, iceState, dtlsState }) => {
+    console.log(`SFU transport ${transportId}: ${iceState ? `ICE ${iceState}` : `DTLS ${dtlsState}`}`);
+    if (iceState !== "disconnected") return;
+
+    sfuTransportList().then(list => {
+        const transport = list.find(t => t.id === transportId);
+        if (transport) restartSfuIce(transport);
+    });
+});
+
+// The server gave up on a transport (never connected, or DTLS failed): set media up again
+socket.on("transport-closed", async ({ transportId, reason }) => {
+    const list = await sfuTransportList();
+    if (!list.some(t => t.id === transportId)) return;
+
+    console.warn(`SFU transport ${transportId} closed by the server (${reason})`);
+    if (sfuRestarts >= MAX_SFU_RESTARTS) {
+        stopSfu();
+        updateStatus("Lost the connection to the media server. Rejoin the room to try again.");
+        return;
+    }
+    sfuRestarts++;
+    startSfu();
+});
+
+// Network changed (e.g. Wi-Fi to mobile data): the old ICE candidates are likely dead
+window.addEventListener("online", () => sfuTransportList().then(list => list.forEach(restartSfuIce)));
+
+// The SFU paused or resumed a video to save bandwidth; show the avatar while it is paused
+socket.on("consumer-state", ({ consumerId, paused }) => {
+    const entry = sfu && sfu.consumers.get(consumerId);
+    const tile = entry && !entry.screen && tiles[entry.peerId];
+    if (tile) tile.classList.toggle("video-paused", paused);
+});
+
+// Chosen by the router's AudioLevelObserver instead of local audio analysis
+socket.on("active-speaker", ({ peerId }) => {
+    if (mediaMode === "sfu") setActiveSpeaker(peerId);
 });
@@ -0,0 +1,122 @@
+// ============================================================================
+// Video tile layout for client.js
+// ============================================================================
+//
+// Modes:
+//   grid    - every tile the same size, as large as the viewport allows
+//   speaker - the active speaker (or a screen share) large, the rest in a strip below
+// Pinning a tile shows it large in either mode until it is unpinned.
+
+const LAYOUT_GAP = 10; // px, must match the container's CSS gap
+const LAYOUT_HEIGHT_RATIO = 0.8; // share of the viewport height the videos may use
+const LAYOUT_STRIP_RATIO = 0.25; // share of that height left for the strip under the main tile
+
+// Width of each of `count` tiles so they all fit in width x height, trying every column count
+function bestTileWidth(count, width, height, aspect) {
+    let best = 0;
+    for (let cols = 1; cols <= count; cols++) {
+        const rows = Math.ceil(count / cols);
+        const byWidth = (width - LAYOUT_GAP * (cols - 1)) / cols;
+        const byHeight = ((height - LAYOUT_GAP * (rows - 1)) / rows) * aspect;
+        best = Math.max(best, Math.min(byWidth, byHeight));
+    }
+    return Math.max(0, Math.floor(best));
+}
+
+/**
+ * Lay out the tiles inside `container`. Only children matching `tileSelector` are sized;
+ * anything else (e.g. an empty-state message) is left alone. `onPin(tile)` is called
+ * whenever the pinned tile changes (null when unpinned).
+ */
+function createLayout(container, { tileSelector = ".tile", screenSelector = ".screen", onPin = () => {} } = {}) {
+    let mode = "grid";
+    let pinned = null;
+    let speaker = null;
+
+    const visibleTiles = () => [...container.children].filter(el => el.matches(tileSelector) && !el.hidden);
+
+    // Phones held upright send portrait video, so tiles follow the screen's orientation
+    const tileAspect = () => (window.innerHeight > window.innerWidth ? 3 / 4 : 16 / 9);
+
+    function mainTile(tiles) {
+        if (pinned && tiles.includes(pinned)) return pinned;
+        if (mode !== "speaker") return null;
+        return tiles.find(tile => tile.matches(screenSelector)) || (tiles.includes(speaker) ? speaker : null);
+    }
+
+    function update() {
+        const tiles = visibleTiles();
+        const aspect = tileAspect();
+        const width = container.clientWidth;
+        const height = window.innerHeight * LAYOUT_HEIGHT_RATIO;
+        const main = mainTile(tiles);
+
+        container.style.setProperty("--tile-aspect", aspect);
+        container.classList.toggle("stage", Boolean(main));
+
+        let others = tiles;
+        let stripHeight = height;
+        if (main) {
+            others = tiles.filter(tile => tile !== main);
+            stripHeight = others.length ? height * LAYOUT_STRIP_RATIO : 0;
+
+            const mainWidth = bestTileWidth(1, width, height - stripHeight - (others.length ? LAYOUT_GAP : 0), aspect);
+            main.style.width = `${mainWidth}px`;
+            // Side margins keep the main tile alone on its row
+            main.style.margin = `0 ${Math.floor((width - mainWidth) / 2)}px`;
+        }
+
+        const tileWidth = bestTileWidth(others.length, width, stripHeight, aspect);
+        others.forEach(tile => {
+            tile.style.width = `${tileWidth}px`;
+            tile.style.margin = "";
+        });
+        tiles.forEach(tile => {
+            tile.classList.toggle("main", tile === main);
+            tile.classList.toggle("pinned", tile === pinned);
+        });
+    }
+
+    function pin(tile) {
+        pinned = pinned === tile ? null : tile;
+        update();
+        onPin(pinned);
+    }
+
+    // Append a tile (or put it first, e.g. screen shares) with a pin toggle
+    function addTile(tile, { first = false } = {}) {
+        if (!tile.querySelector(".pin-btn")) {
+            const pinBtn = document.createElement("button");
+            pinBtn.className = "pin-btn";
+            pinBtn.textContent = "📌";
+            pinBtn.title = "Pin";
+            pinBtn.onclick = () => pin(tile);
+            tile.appendChild(pinBtn);
+        }
+        if (first) container.prepend(tile);
+        else if (tile.parentNode !== container) container.appendChild(tile);
+        update();
+    }
+
+    function removeTile(tile) {
+        if (speaker === tile) speaker = null;
+        tile.remove();
+        if (pinned === tile) pin(null);
+        else update();
+    }
+
+    function setMode(newMode) {
+        mode = newMode;
+        update();
+    }
+
+    function setSpeaker(tile) {
+        speaker = tile || null;
+        if (mode === "speaker" && !pinned) update();
+    }
+
+    window.addEventListener("resize", update);
+    window.addEventListener("orientationchange", update);
+
+    return { addTile, removeTile, pin, setMode, setSpeaker, update };
+}
@@ -1,81 +1,1060 @@
+import crypto from "crypto";
 import express from "express";
 import http from "http";
 import { Server } from "socket.io";
+import {
+  startSfu,
+  isSfuAvailable,
+  joinSfu,
+  leaveSfu,
+  closeSfuRoom,
+  closeSfuProducers,
+  registerSfuHandlers,
+} from "./sfu.js";
+import { createInvite, verifyInvite, createTurnCredentials } from "./credentials.js";
 
 const app = express();
 const server = http.createServer(app);
 const io = new Server(server);
 
+app.use(express.json());
 app.use(express.static("public"));
 
-// Room data: { roomId: Set<socket.id> }
-const MAX_USERS = 4;
+// Shared secret that lets extra moderators join a room that already has one.
+// When unset, only the first socket to claim the moderator role gets it.
+const MODERATOR_TOKEN = process.env.MODERATOR_TOKEN;
+
+function getRoomSockets(roomId) {
+  const clients = io.sockets.adapter.rooms.get(roomId) || new Set();
+  return Array.from(clients)
+    .map(id => io.sockets.sockets.get(id))
+    .filter(Boolean);
+}
+
+function getModeratorSockets(roomId) {
+  return getRoomSockets(roomId).filter(s => s.data.role === "moderator");
+}
+
+// Decide the role on the server; the role sent by the browser is only a request.
+function assignRole(roomId, requestedRole, token) {
+  if (requestedRole !== "moderator") return "user";
+  if (MODERATOR_TOKEN && token === MODERATOR_TOKEN) return "moderator";
+
+  // A moderator waiting to reconnect still holds the role
+  const hasModerator = getRoomSockets(roomId).some(s => s.data.role === "moderator") ||
+    Array.from(sessions.values()).some(session => session.roomId === roomId && session.role === "moderator");
+  if (!MODERATOR_TOKEN && !hasModerator) return "moderator";
+
+  return "user";
+}
+
+// ============================================================================
+// Invite tokens
+// ============================================================================
+
+// Secret used to sign invites. Set INVITE_SECRET so links survive restarts.
+const INVITE_SECRET = process.env.INVITE_SECRET || crypto.randomBytes(32).toString("hex");
+const INVITE_TTL_SECONDS = Number(process.env.INVITE_TTL_SECONDS) || 24 * 60 * 60;
+const MAX_INVITE_TTL_SECONDS = 7 * 24 * 60 * 60;
+// When true, join-room is refused without a valid invite
+const REQUIRE_INVITE = process.env.REQUIRE_INVITE === "true" || process.env.REQUIRE_INVITE === "1";
+
+if (!process.env.INVITE_SECRET) {
+  console.warn("INVITE_SECRET is not set; invite links will stop working after a restart.");
+}
+
+// Without MODERATOR_TOKEN anyone can mint invites, so requiring one would protect nothing
+if (REQUIRE_INVITE && !MODERATOR_TOKEN) {
+  console.error("REQUIRE_INVITE needs MODERATOR_TOKEN to be set.");
+  process.exit(1);
+}
+
+// Mint an invite link. Guarded by MODERATOR_TOKEN when one is configured; moderator
+// invites can only be minted with it.
+app.post("/invites", (req, res) => {
+  const { roomId, role = "user", name, ttlSeconds = INVITE_TTL_SECONDS } = req.body || {};
+  const authToken = req.get("x-moderator-token") || (req.body && req.body.moderatorToken);
+
+  if (MODERATOR_TOKEN && authToken !== MODERATOR_TOKEN) {
+    res.status(403).json({ error: "Invalid moderator token" });
+    return;
+  }
+
+  if (!roomId || typeof roomId !== "string") {
+    res.status(400).json({ error: "roomId is required" });
+    return;
+  }
+
+  if (role !== "moderator" && role !== "user") {
+    res.status(400).json({ error: "role must be 'moderator' or 'user'" });
+    return;
+  }
+
+  if (role === "moderator" && !MODERATOR_TOKEN) {
+    res.status(403).json({ error: "Moderator invites require MODERATOR_TOKEN to be configured" });
+    return;
+  }
+
+  if (name !== undefined && typeof name !== "string") {
+    res.status(400).json({ error: "name must be a string" });
+    return;
+  }
+
+  const ttl = Number(ttlSeconds);
+  if (!Number.isFinite(ttl) || ttl <= 0 || ttl > MAX_INVITE_TTL_SECONDS) {
+    res.status(400).json({ error: `ttlSeconds must be between 1 and ${MAX_INVITE_TTL_SECONDS}` });
+    return;
+  }
+
+  const { token, payload } = createInvite(INVITE_SECRET, { roomId, role, name: cleanDisplayName(name), ttlSeconds: ttl });
+  const url = `${req.protocol}://${req.get("host")}/?invite=${encodeURIComponent(token)}`;
+
+  res.json({ token, url, expiresAt: new Date(payload.exp * 1000).toISOString() });
+});
+
+// ============================================================================
+// ICE servers (STUN/TURN)
+// ============================================================================
+
+const splitList = value => (value || "").split(",").map(v => v.trim()).filter(Boolean);
+
+const STUN_URLS = process.env.STUN_URLS !== undefined
+  ? splitList(process.env.STUN_URLS)
+  : ["stun:stun.l.google.com:19302"];
+const TURN_URLS = splitList(process.env.TURN_URLS);
+// Shared secret with coturn (static-auth-secret / use-auth-secret)
+const TURN_SECRET = process.env.TURN_SECRET;
+const TURN_TTL_SECONDS = Number(process.env.TURN_TTL_SECONDS) || 24 * 60 * 60;
+
+/**
+ * Build the RTCPeerConnection iceServers list from configuration. Only handed to sockets
+ * that are in a room, so the TURN server doesn't relay for anyone who asks. The TURN user
+ * is random: usernames travel in plaintext, so they must not carry the clientId.
+ */
+function getIceServers() {
+  const iceServers = [];
+  if (STUN_URLS.length) {
+    iceServers.push({ urls: STUN_URLS });
+  }
+
+  if (TURN_URLS.length && TURN_SECRET) {
+    const user = crypto.randomBytes(8).toString("hex");
+    const { username, credential } = createTurnCredentials(TURN_SECRET, user, TURN_TTL_SECONDS);
+    iceServers.push({ urls: TURN_URLS, username, credential });
+  } else if (TURN_URLS.length && process.env.TURN_USERNAME) {
+    // Static long-term credentials
+    iceServers.push({
+      urls: TURN_URLS,
+      username: process.env.TURN_USERNAME,
+      credential: process.env.TURN_CREDENTIAL,
+    });
+  }
+
+  return iceServers;
+}
+
+// Sent with joined-room and refreshed through "get-ice-servers"
+const iceConfig = () => ({ iceServers: getIceServers(), ttl: TURN_TTL_SECONDS });
+
+// ============================================================================
+// Rooms and capacity
+// ============================================================================
+
+// How a room's media flows: "p2p" (mesh from the moderator), "sfu" (mediasoup, see sfu.js),
+// or "auto" (P2P up to P2P_MAX_PARTICIPANTS, SFU above)
+const MEDIA_MODES = ["p2p", "sfu", "auto"];
+const P2P_MAX_PARTICIPANTS = Number(process.env.P2P_MAX_PARTICIPANTS) || 4;
+
+// Used for rooms whose creator does not pass settings
+const DEFAULT_ROOM_SETTINGS = {
+  mode: MEDIA_MODES.includes(process.env.MEDIA_MODE) ? process.env.MEDIA_MODE : "auto",
+  maxModerators: Number(process.env.MAX_MODERATORS) || 1,
+  maxUsers: Number(process.env.MAX_USERS) || 3,
+  waitingList: process.env.WAITING_LIST === "true" || process.env.WAITING_LIST === "1",
+  lobby: process.env.LOBBY === "true" || process.env.LOBBY === "1",
+  // Moderators can always share their screen; this controls users
+  allowUserScreenShare: process.env.ALLOW_USER_SCREEN_SHARE === "true" || process.env.ALLOW_USER_SCREEN_SHARE === "1",
+};
+
+// Upper bounds a room creator cannot exceed; a P2P mesh from the moderator can't go as far as the SFU
+const ROOM_LIMITS = {
+  p2p: { maxModerators: 5, maxUsers: 20 },
+  sfu: { maxModerators: 10, maxUsers: 100 },
+};
+
+// roomId -> {
+//   settings,
+//   waiting: [{ socketId, role, displayName, clientId }],  // room was full
+//   lobby: Map<socketId, { socketId, role, displayName, clientId }>,  // awaiting moderator approval
+//   hands: [{ peerId, displayName, raisedAt }],  // raise-hand queue, oldest first
+//   chat: [message],  // recent public chat, replayed to late joiners
+// }
+const rooms = new Map();
+
+// SFU rooms need mediasoup; without it every room is P2P
+function resolveMediaMode(requested, participants) {
+  if (!isSfuAvailable()) return "p2p";
+  if (requested === "auto") return participants > P2P_MAX_PARTICIPANTS ? "sfu" : "p2p";
+  return requested;
+}
+
+function sanitizeRoomSettings(settings) {
+  // Sent by the client, so it may be null or not an object at all
+  if (!settings || typeof settings !== "object") settings = {};
+
+  const limit = (value, fallback, max) => {
+    const n = Number(value);
+    return Number.isInteger(n) && n >= 0 ? Math.min(n, max) : fallback;
+  };
+
+  const maxModerators = Math.max(1, limit(settings.maxModerators, DEFAULT_ROOM_SETTINGS.maxModerators, ROOM_LIMITS.sfu.maxModerators));
+  const maxUsers = limit(settings.maxUsers, DEFAULT_ROOM_SETTINGS.maxUsers, ROOM_LIMITS.sfu.maxUsers);
+  const mode = resolveMediaMode(
+    MEDIA_MODES.includes(settings.mode) ? settings.mode : DEFAULT_ROOM_SETTINGS.mode,
+    maxModerators + maxUsers
+  );
+
+  return {
+    mode,
+    maxModerators: Math.min(maxModerators, ROOM_LIMITS[mode].maxModerators),
+    maxUsers: Math.min(maxUsers, ROOM_LIMITS[mode].maxUsers),
+    waitingList: typeof settings.waitingList === "boolean" ? settings.waitingList : DEFAULT_ROOM_SETTINGS.waitingList,
+    lobby: typeof settings.lobby === "boolean" ? settings.lobby : DEFAULT_ROOM_SETTINGS.lobby,
+    allowUserScreenShare: typeof settings.allowUserScreenShare === "boolean"
+      ? settings.allowUserScreenShare
+      : DEFAULT_ROOM_SETTINGS.allowUserScreenShare,
+  };
+}
+
+// Settings are fixed when the room is created; only a moderator may choose them
+function getOrCreateRoom(roomId, settings) {
+  if (rooms.has(roomId)) return rooms.get(roomId);
+
+  const room = { settings: sanitizeRoomSettings(settings), waiting: [], lobby: new Map(), hands: [], chat: [] };
+  rooms.set(roomId, room);
+  console.log(`Room ${roomId} created`, room.settings);
+  return room;
+}
+
+// Count connected members plus members holding their place while reconnecting
+function countRoles(roomId) {
+  const members = new Map(); // peerId -> role
+  getRoomSockets(roomId).forEach(s => members.set(s.id, s.data.role));
+  sessions.forEach(session => {
+    if (session.roomId === roomId && session.leaveTimer) members.set(session.socketId, session.role);
+  });
+
+  const counts = { moderator: 0, user: 0 };
+  members.forEach(role => counts[role]++);
+  return counts;
+}
+
+// Returns the limit a new member with this role would break, or null if there is room
+function checkCapacity(roomId, room, role) {
+  const counts = countRoles(roomId);
+  const limit = role === "moderator" ? "maxModerators" : "maxUsers";
+  const max = room.settings[limit];
+  return counts[role] >= max ? { limit, max, current: counts[role] } : null;
+}
+
+// Admit as many people from the waiting list as the room now has space for
+function admitFromWaitingList(roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+
+  room.waiting = room.waiting.filter(entry => {
+    const socket = io.sockets.sockets.get(entry.socketId);
+    if (!socket) return false;
+    if (checkCapacity(roomId, room, entry.role)) return true;
+
+    delete socket.data.waitingFor;
+    admitToRoom(socket, roomId, entry);
+    return false;
+  });
+
+  room.waiting.forEach((entry, index) => {
+    io.to(entry.socketId).emit("waiting-list", { roomId, position: index + 1 });
+  });
+}
+
+function removeFromWaitingList(roomId, socketId) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+  room.waiting = room.waiting.filter(entry => entry.socketId !== socketId);
+  admitFromWaitingList(roomId);
+  deleteRoomIfEmpty(roomId);
+}
+
+function deleteRoomIfEmpty(roomId) {
+  const room = rooms.get(roomId);
+  if (!room || room.waiting.length || room.lobby.size) return;
+
+  const counts = countRoles(roomId);
+  if (counts.moderator + counts.user === 0) {
+    rooms.delete(roomId);
+    if (room.settings.mode === "sfu") closeSfuRoom(roomId).catch(error => console.error("Error closing SFU room:", error));
+    console.log(`Room ${roomId} deleted`);
+  }
+}
+
+// Someone has left for good: tell the room and free their slot
+function handlePeerLeft(roomId, peerId) {
+  io.to(roomId).emit("peer-left", { peerId });
+  leaveSfu(roomId, peerId).catch(error => console.error("Error leaving SFU room:", error));
+  removeHand(roomId, peerId);
+  broadcastRoster(roomId);
+  admitFromWaitingList(roomId);
+  deleteRoomIfEmpty(roomId);
+}
+
+// Admit the socket if there is space, otherwise put it on the waiting list or turn it away
+function tryAdmit(socket, roomId, room, entry) {
+  // Counting and joining happen in the same tick, so two joiners cannot both take the last slot
+  const full = checkCapacity(roomId, room, entry.role);
+  if (!full) {
+    admitToRoom(socket, roomId, entry);
+    return;
+  }
+
+  const waiting = room.settings.waitingList;
+  if (waiting) {
+    room.waiting.push(entry);
+    socket.data.waitingFor = roomId;
+  }
+
+  socket.emit("room-full", {
+    roomId,
+    role: entry.role,
+    ...full,
+    waiting,
+    position: waiting ? room.waiting.length : undefined,
+  });
+  deleteRoomIfEmpty(roomId);
+}
+
+// ============================================================================
+// Lobby
+// ============================================================================
+
+function toLobbyRequest({ socketId, displayName }) {
+  return { peerId: socketId, displayName };
+}
+
+// Hold a user until a moderator admits or denies them
+function holdInLobby(socket, roomId, room, entry) {
+  room.lobby.set(socket.id, entry);
+  socket.data.lobbyFor = roomId;
+  socket.emit("lobby-waiting", { roomId });
+
+  getModeratorSockets(roomId).forEach(mod => mod.emit("lobby-request", toLobbyRequest(entry)));
+  console.log(`${socket.id} is waiting in the lobby of ${roomId}`);
+}
+
+// Give a (re)joining moderator everyone currently waiting
+function sendLobbyRequests(socket, roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+  room.lobby.forEach(entry => socket.emit("lobby-request", toLobbyRequest(entry)));
+}
+
+function resolveLobbyRequest(roomId, socketId, admit) {
+  const room = rooms.get(roomId);
+  const entry = room && room.lobby.get(socketId);
+  if (!entry) return;
+
+  room.lobby.delete(socketId);
+  getModeratorSockets(roomId).forEach(mod => mod.emit("lobby-resolved", { peerId: socketId, admitted: admit }));
+
+  const socket = io.sockets.sockets.get(socketId);
+  if (!socket) return;
+  delete socket.data.lobbyFor;
+
+  if (admit) {
+    tryAdmit(socket, roomId, room, entry);
+  } else {
+    socket.emit("lobby-denied", { roomId });
+    deleteRoomIfEmpty(roomId);
+  }
+}
+
+function removeFromLobby(roomId, socketId) {
+  const room = rooms.get(roomId);
+  if (!room || !room.lobby.delete(socketId)) return;
+
+  getModeratorSockets(roomId).forEach(mod => mod.emit("lobby-resolved", { peerId: socketId, admitted: false }));
+  deleteRoomIfEmpty(roomId);
+}
+
+// ============================================================================
+// Moderator controls
+// ============================================================================
+
+// How long a kicked participant is kept out of the room
+const KICK_BAN_MS = Number(process.env.KICK_BAN_MS) || 10 * 60 * 1000;
+
+// Set when a single reverse proxy terminates TLS, so bans use the address it appends to
+// X-Forwarded-For instead of the proxy's own. Earlier entries come from the client.
+const TRUST_PROXY = process.env.TRUST_PROXY === "true" || process.env.TRUST_PROXY === "1";
+
+// roomId -> Map<key, expiresAt>. Kept apart from `rooms` so bans outlive an empty room.
+// Keys are the kicked client's IP address, clientId and invite token. clientId is picked by
+// the client and changes on every page load, so outside invite-only rooms the address is
+// the only key a kicked user cannot simply drop (and it also keeps out anyone sharing it).
+const bans = new Map();
+
+function clientAddress(socket) {
+  const forwarded = TRUST_PROXY && socket.handshake.headers["x-forwarded-for"];
+  return forwarded ? forwarded.split(",").pop().trim() : socket.handshake.address;
+}
+
+function banKeys({ address, clientId, invite }) {
+  const keys = [];
+  if (address) keys.push(`address:${address}`);
+  if (clientId) keys.push(`client:${clientId}`);
+  if (invite) keys.push(`invite:${invite}`);
+  return keys;
+}
+
+function banFromRoom(roomId, identity) {
+  if (!bans.has(roomId)) bans.set(roomId, new Map());
+  const roomBans = bans.get(roomId);
+  const expiresAt = Date.now() + KICK_BAN_MS;
+  banKeys(identity).forEach(key => roomBans.set(key, expiresAt));
+}
+
+// Returns the ban expiry time if any of the identity's keys is banned
+function getBan(roomId, identity) {
+  const roomBans = bans.get(roomId);
+  if (!roomBans) return null;
+
+  const now = Date.now();
+  roomBans.forEach((expiresAt, key) => {
+    if (expiresAt <= now) roomBans.delete(key);
+  });
+  if (!roomBans.size) bans.delete(roomId);
+
+  const expiries = banKeys(identity).map(key => roomBans.get(key)).filter(Boolean);
+  return expiries.length ? Math.max(...expiries) : null;
+}
+
+// Remove a participant from the room and keep them out for KICK_BAN_MS
+function kickFromRoom(roomId, target) {
+  const { clientId, invite } = target.data;
+  banFromRoom(roomId, { address: clientAddress(target), clientId, invite });
+
+  target.emit("kicked", { roomId, bannedUntil: Date.now() + KICK_BAN_MS });
+  target.leave(roomId);
+  if (clientId) sessions.delete(clientId);
+  delete target.data.roomId;
+  delete target.data.role;
+
+  handlePeerLeft(roomId, target.id);
+  console.log(`${target.id} was removed from room ${roomId}`);
+}
+
+// ============================================================================
+// Raise hand
+// ============================================================================
+
+// Moderators always see the full queue
+function broadcastHandQueue(roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+  getModeratorSockets(roomId).forEach(mod => mod.emit("hand-queue", { queue: room.hands }));
+}
+
+function raiseHand(roomId, socket) {
+  const room = rooms.get(roomId);
+  if (!room || room.hands.some(hand => hand.peerId === socket.id)) return;
+
+  room.hands.push({ peerId: socket.id, displayName: socket.data.displayName, raisedAt: Date.now() });
+  socket.emit("hand-raised", { position: room.hands.length });
+  broadcastHandQueue(roomId);
+}
+
+// Returns true if the peer had its hand up
+function removeHand(roomId, peerId) {
+  const room = rooms.get(roomId);
+  if (!room) return false;
+
+  const before = room.hands.length;
+  room.hands = room.hands.filter(hand => hand.peerId !== peerId);
+  if (room.hands.length === before) return false;
+
+  broadcastHandQueue(roomId);
+  return true;
+}
+
+// A reconnected peer keeps its place in the queue under its new ID
+function renameHand(roomId, previousPeerId, peerId) {
+  const room = rooms.get(roomId);
+  const hand = room && room.hands.find(h => h.peerId === previousPeerId);
+  if (!hand) return;
+
+  hand.peerId = peerId;
+  broadcastHandQueue(roomId);
+}
+
+// Everything a moderator needs when joining or rejoining
+function sendModeratorState(socket, roomId) {
+  sendLobbyRequests(socket, roomId);
+  const room = rooms.get(roomId);
+  if (room) socket.emit("hand-queue", { queue: room.hands });
+}
+
+// ============================================================================
+// Chat
+// ============================================================================
+
+const CHAT_HISTORY_SIZE = Number(process.env.CHAT_HISTORY_SIZE) || 50;
+const CHAT_MAX_LENGTH = 1000;
+// Each socket may send CHAT_RATE_LIMIT messages per CHAT_RATE_WINDOW_MS
+const CHAT_RATE_LIMIT = Number(process.env.CHAT_RATE_LIMIT) || 5;
+const CHAT_RATE_WINDOW_MS = Number(process.env.CHAT_RATE_WINDOW_MS) || 5000;
+
+// Sliding window over the socket's recent send times. Returns ms to wait, or 0 if allowed.
+function checkChatRate(socket) {
+  const now = Date.now();
+  const recent = (socket.data.chatTimes || []).filter(t => now - t < CHAT_RATE_WINDOW_MS);
+  socket.data.chatTimes = recent;
+
+  if (recent.length >= CHAT_RATE_LIMIT) {
+    return CHAT_RATE_WINDOW_MS - (now - recent[0]);
+  }
+  recent.push(now);
+  return 0;
+}
+
+/**
+ * Deliver a chat message. Public messages go to the room and its history;
+ * private ones go only to the moderators and the sender.
+ */
+function sendChatMessage(socket, roomId, text, toModerators) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+
+  const message = {
+    id: crypto.randomUUID(),
+    from: socket.id,
+    displayName: socket.data.displayName,
+    role: socket.data.role,
+    text,
+    timestamp: Date.now(),
+    private: toModerators,
+  };
+
+  if (toModerators) {
+    const recipients = new Set(getModeratorSockets(roomId).map(s => s.id));
+    recipients.add(socket.id);
+    recipients.forEach(id => io.to(id).emit("chat-message", message));
+    return;
+  }
+
+  room.chat.push(message);
+  if (room.chat.length > CHAT_HISTORY_SIZE) room.chat.shift();
+  io.to(roomId).emit("chat-message", message);
+}
+
+// ============================================================================
+// Screen sharing
+// ============================================================================
+
+// Tell the room which stream ID carries a peer's screen so it gets its own tile
+function broadcastScreenShare(roomId, socket, active) {
+  io.to(roomId).emit("screen-share-state", {
+    peerId: socket.id,
+    streamId: socket.data.screenStreamId,
+    active,
+  });
+}
+
+function stopScreenShare(roomId, socket) {
+  if (!socket.data.screenStreamId) return;
+  broadcastScreenShare(roomId, socket, false);
+  delete socket.data.screenStreamId;
+  closeSfuProducers(roomId, socket.id, appData => appData.screen)
+    .catch(error => console.error("Error closing screen share producer:", error));
+}
+
+// Late joiners need to know about shares already running
+function sendScreenShares(socket, roomId) {
+  getRoomSockets(roomId)
+    .filter(s => s.data.screenStreamId && s.id !== socket.id)
+    .forEach(s => socket.emit("screen-share-state", { peerId: s.id, streamId: s.data.screenStreamId, active: true }));
+}
+
+function canShareScreen(socket) {
+  const room = rooms.get(socket.data.roomId);
+  return socket.data.role === "moderator" || Boolean(room && room.settings.allowUserScreenShare);
+}
+
+// ============================================================================
+// Media state (mic / camera on or off)
+// ============================================================================
+
+function sendMediaStates(socket, roomId) {
+  getRoomSockets(roomId)
+    .filter(s => s.data.mediaState && s.id !== socket.id)
+    .forEach(s => socket.emit("media-state", { peerId: s.id, ...s.data.mediaState }));
+}
+
+// ============================================================================
+// Participants and roster
+// ============================================================================
+
+// HTTPS only: every participant's browser loads the image, so plain http would be mixed content
+const AVATAR_URL_PATTERN = /^https:\/\/\S{1,500}$/;
+
+// Display names come from join-room or a signed invite; anything but a string is dropped
+function cleanDisplayName(value) {
+  return typeof value === "string" ? value.trim().slice(0, 50) : "";
+}
+
+// Initials from the display name, e.g. "Ada Lovelace" -> "AL"
+function initialsFor(displayName) {
+  return (displayName || "")
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map(word => word[0].toUpperCase())
+    .join("") || "?";
+}
+
+/**
+ * The avatar sent in join-room is either an https image URL or up to 3 initials
+ */
+function normalizeAvatar(avatar, displayName) {
+  const value = typeof avatar === "string" ? avatar.trim() : "";
+  if (AVATAR_URL_PATTERN.test(value)) {
+    return { avatarUrl: value, initials: initialsFor(displayName) };
+  }
+  // Any other URL is dropped rather than turned into initials
+  if (/^[a-z][a-z0-9+.-]*:/i.test(value)) {
+    return { avatarUrl: null, initials: initialsFor(displayName) };
+  }
+  return { avatarUrl: null, initials: value ? value.slice(0, 3).toUpperCase() : initialsFor(displayName) };
+}
+
+function toParticipant(peerId, { role, displayName, avatar, mediaState }, reconnecting) {
+  return {
+    peerId,
+    role,
+    displayName,
+    avatarUrl: avatar ? avatar.avatarUrl : null,
+    initials: avatar ? avatar.initials : initialsFor(displayName),
+    audio: mediaState ? mediaState.audio : true,
+    video: mediaState ? mediaState.video : true,
+    reconnecting,
+  };
+}
+
+// Everyone in the room, including people holding their place while reconnecting
+function getRoster(roomId) {
+  const participants = getRoomSockets(roomId).map(s => toParticipant(s.id, s.data, false));
+  sessions.forEach(session => {
+    if (session.roomId === roomId && session.leaveTimer) {
+      participants.push(toParticipant(session.socketId, session, true));
+    }
+  });
+  return participants;
+}
+
+function broadcastRoster(roomId) {
+  io.to(roomId).emit("roster", { participants: getRoster(roomId) });
+}
+
+// Join the socket to the Socket.IO room and announce it. Capacity must already be checked.
+function admitToRoom(socket, roomId, { role, displayName, avatar, clientId, invite }) {
+  socket.data.role = role; // 'moderator' or 'user'
+  socket.data.roomId = roomId;
+  socket.data.displayName = displayName;
+  socket.data.avatar = avatar;
+  socket.data.invite = invite;
+
+  if (typeof clientId === "string" && clientId) {
+    socket.data.clientId = clientId;
+    sessions.set(clientId, { socketId: socket.id, roomId, role, displayName, avatar, invite, leaveTimer: null });
+  }
+
+  const moderatorSockets = getModeratorSockets(roomId);
+  const room = rooms.get(roomId);
+
+  socket.join(roomId);
+  // The client sets up its media (P2P connections or SFU transports) based on the mode
+  socket.emit("joined-room", { roomId, role, displayName, mode: room.settings.mode, ice: iceConfig() });
+  console.log(`${role} joined room ${roomId}`);
+
+  socket.emit("chat-history", { messages: room.chat });
+  socket.emit("screen-share-policy", { allowed: room.settings.allowUserScreenShare });
+  sendScreenShares(socket, roomId);
+  sendMediaStates(socket, roomId);
+
+  // Notify moderator if a new user joins
+  if (role === "user") {
+    moderatorSockets.forEach(mod => {
+      mod.emit("user-joined", socket.id);
+    });
+  } else {
+    sendModeratorState(socket, roomId);
+    // Users who were here first (a second moderator, a reload, or users who joined before
+    // any moderator) are only called by the moderator, so it has to hear about them too
+    if (room.settings.mode === "p2p") {
+      getRoomSockets(roomId)
+        .filter(s => s.data.role === "user")
+        .forEach(user => socket.emit("user-joined", user.id));
+    }
+  }
+
+  broadcastRoster(roomId);
+}
+
+// Signaling is only allowed between a moderator and a user in the same P2P room
+function canSignal(from, to) {
+  if (!from.data.roomId || !to || to.id === from.id) return false;
+  if (to.data.roomId !== from.data.roomId) return false;
+
+  const room = rooms.get(from.data.roomId);
+  if (!room || room.settings.mode !== "p2p") return false;
+  return from.data.role === "moderator" || to.data.role === "moderator";
+}
+
+// ============================================================================
+// Reconnection
+// ============================================================================
+
+// How long a dropped client keeps its place before the room is told it left
+const RECONNECT_GRACE_MS = Number(process.env.RECONNECT_GRACE_MS) || 15000;
+
+// clientId -> { socketId, roomId, role, displayName, avatar, invite, mediaState, leaveTimer }
+const sessions = new Map();
+
+// Move a returning client onto its new socket and tell the room its new ID
+function resumeSession(socket, clientId, session) {
+  clearTimeout(session.leaveTimer);
+  session.leaveTimer = null;
+
+  const oldSocket = io.sockets.sockets.get(session.socketId);
+  const previousPeerId = session.socketId;
+  session.socketId = socket.id;
+  if (oldSocket) oldSocket.disconnect(true);
+
+  Object.assign(socket.data, {
+    clientId,
+    roomId: session.roomId,
+    role: session.role,
+    displayName: session.displayName,
+    avatar: session.avatar,
+    invite: session.invite,
+    mediaState: session.mediaState,
+  });
+
+  socket.join(session.roomId);
+  socket.emit("joined-room", {
+    roomId: session.roomId,
+    role: session.role,
+    displayName: session.displayName,
+    mode: rooms.get(session.roomId).settings.mode,
+    ice: iceConfig(),
+    resumed: true,
+  });
+  socket.to(session.roomId).emit("peer-reconnected", { peerId: socket.id, previousPeerId });
+  renameHand(session.roomId, previousPeerId, socket.id);
+  if (session.role === "moderator") sendModeratorState(socket, session.roomId);
+  broadcastRoster(session.roomId);
+  console.log(`${session.role} rejoined room ${session.roomId} (${previousPeerId} -> ${socket.id})`);
+}
 
 io.on("connection", (socket) => {
   console.log("User connected:", socket.id);
 
-  socket.on("join-room", (roomId, role) => {
-    socket.data.role = role; // 'moderator' or 'user'
+  socket.on("join-room", (data) => {
+    // `= {}` defaults don't cover null, which would throw and take the process down
+    let { roomId, role: requestedRole, token, invite, clientId, settings, displayName, avatar } = data || {};
+    if (socket.data.roomId || socket.data.waitingFor || socket.data.lobbyFor) {
+      socket.emit("join-error", { message: "Already joined a room" });
+      return;
+    }
+
+    // Same client re-announcing itself after a signaling drop
+    const session = clientId && sessions.get(clientId);
+    if (session) {
+      resumeSession(socket, clientId, session);
+      return;
+    }
+
+    let inviteData = null;
+    if (invite) {
+      inviteData = verifyInvite(INVITE_SECRET, invite);
+      if (!inviteData) {
+        socket.emit("join-error", { message: "Invite link is invalid or has expired" });
+        return;
+      }
+      // The invite decides the room and role
+      roomId = inviteData.roomId;
+    } else if (REQUIRE_INVITE) {
+      socket.emit("join-error", { message: "An invite link is required to join" });
+      return;
+    }
+
+    if (!roomId || typeof roomId !== "string") {
+      socket.emit("join-error", { message: "roomId is required" });
+      return;
+    }
+
+    const role = inviteData ? inviteData.role : assignRole(roomId, requestedRole, token);
+
+    // A banned identity can't take a free moderator slot to get back in. Moderators vouched
+    // for by an invite or MODERATOR_TOKEN still can, e.g. behind the same NAT as a kicked user.
+    const vouchedModerator = role === "moderator" && (inviteData || (MODERATOR_TOKEN && token === MODERATOR_TOKEN));
+    const bannedUntil = !vouchedModerator && getBan(roomId, { address: clientAddress(socket), clientId, invite });
+    if (bannedUntil) {
+      socket.emit("join-error", { message: "You were removed from this room", bannedUntil });
+      return;
+    }
+    const room = getOrCreateRoom(roomId, role === "moderator" ? settings : undefined);
+    const name = cleanDisplayName(inviteData ? inviteData.name : displayName);
+    const entry = { socketId: socket.id, role, displayName: name, avatar: normalizeAvatar(avatar, name), clientId, invite };
+
+    if (role === "user" && room.settings.lobby) {
+      holdInLobby(socket, roomId, room, entry);
+      return;
+    }
+
+    tryAdmit(socket, roomId, room, entry);
+  });
+
+  // Wrap a handler so only a moderator of the room it is in can trigger it
+  const moderatorOnly = (event, handler) => {
+    socket.on(event, (data) => {
+      const { roomId, role } = socket.data;
+      if (!roomId || role !== "moderator") {
+        console.warn(`Rejected ${event} from ${socket.id}`);
+        return;
+      }
+      handler(roomId, data || {});
+    });
+  };
 
-    const clients = io.sockets.adapter.rooms.get(roomId) || new Set();
-    if (clients.size >= MAX_USERS) {
-      socket.emit("room-full");
+  // Moderator decisions on people waiting in the lobby
+  moderatorOnly("lobby-admit", (roomId, { peerId }) => {
+    resolveLobbyRequest(roomId, peerId, true);
+  });
+
+  moderatorOnly("lobby-deny", (roomId, { peerId }) => {
+    resolveLobbyRequest(roomId, peerId, false);
+  });
+
+  moderatorOnly("lobby-admit-all", (roomId) => {
+    const room = rooms.get(roomId);
+    if (!room) return;
+    Array.from(room.lobby.keys()).forEach(peerId => resolveLobbyRequest(roomId, peerId, true));
+  });
+
+  // Moderator controls over users in the same room
+  const moderatorControl = (event, handler) => {
+    moderatorOnly(event, (roomId, { peerId }) => {
+      const target = io.sockets.sockets.get(peerId);
+      if (!target || target.data.roomId !== roomId || target.data.role !== "user") {
+        console.warn(`Rejected ${event} from ${socket.id} to ${peerId}`);
+        return;
+      }
+      handler(roomId, target);
+    });
+  };
+
+  moderatorControl("mute-user", (roomId, target) => {
+    target.emit("force-mute", { by: socket.id });
+  });
+
+  moderatorControl("disable-camera", (roomId, target) => {
+    target.emit("force-camera-off", { by: socket.id });
+  });
+
+  moderatorControl("kick-user", (roomId, target) => {
+    kickFromRoom(roomId, target);
+  });
+
+  // Raise hand: users queue up, the moderator grants the floor or dismisses
+  socket.on("raise-hand", () => {
+    const { roomId, role } = socket.data;
+    if (roomId && role === "user") raiseHand(roomId, socket);
+  });
+
+  socket.on("lower-hand", () => {
+    const { roomId } = socket.data;
+    if (roomId && removeHand(roomId, socket.id)) socket.emit("hand-lowered", { reason: "lowered" });
+  });
+
+  // Only someone who asked to speak can be unmuted this way
+  moderatorControl("grant-floor", (roomId, target) => {
+    if (!removeHand(roomId, target.id)) return;
+    target.emit("hand-lowered", { reason: "granted" });
+    target.emit("floor-granted", { by: socket.id });
+  });
+
+  moderatorControl("dismiss-hand", (roomId, target) => {
+    if (removeHand(roomId, target.id)) target.emit("hand-lowered", { reason: "dismissed" });
+  });
+
+  // Local mute / camera toggles, relayed so every tile can show them
+  socket.on("media-state", (data) => {
+    const { audio, video } = data || {};
+    const { roomId } = socket.data;
+    if (!roomId) return;
+
+    socket.data.mediaState = { audio: audio === true, video: video === true };
+    socket.to(roomId).emit("media-state", { peerId: socket.id, ...socket.data.mediaState });
+
+    // Kept on the session so the roster shows it while the client reconnects
+    const session = socket.data.clientId && sessions.get(socket.data.clientId);
+    if (session) session.mediaState = socket.data.mediaState;
+    broadcastRoster(roomId);
+  });
+
+  // Screen sharing: clients announce the stream before adding its track
+  socket.on("screen-share-start", (data) => {
+    const { streamId } = data || {};
+    const { roomId } = socket.data;
+    if (!roomId || typeof streamId !== "string") return;
+
+    if (!canShareScreen(socket)) {
+      socket.emit("screen-share-denied", { message: "The moderator has not allowed screen sharing" });
       return;
     }
 
-    socket.join(roomId);
-    socket.emit("joined-room", { roomId, role });
-    console.log(`${role} joined room ${roomId}`);
+    socket.data.screenStreamId = streamId;
+    broadcastScreenShare(roomId, socket, true);
+  });
+
+  socket.on("screen-share-stop", () => {
+    const { roomId } = socket.data;
+    if (roomId) stopScreenShare(roomId, socket);
+  });
+
+  moderatorOnly("set-screen-share-policy", (roomId, { allowed }) => {
+    const room = rooms.get(roomId);
+    if (!room) return;
 
-    // Notify moderator if a new user joins
-    if (role === "user") {
-      const moderatorSockets = Array.from(clients)
-        .map(id => io.sockets.sockets.get(id))
-        .filter(s => s && s.data.role === "moderator");
+    room.settings.allowUserScreenShare = allowed === true;
+    io.to(roomId).emit("screen-share-policy", { allowed: room.settings.allowUserScreenShare });
 
-      moderatorSockets.forEach(mod => {
-        mod.emit("user-joined", socket.id);
-      });
+    // Revoking also ends shares that are running
+    if (!room.settings.allowUserScreenShare) {
+      getRoomSockets(roomId)
+        .filter(s => s.data.role === "user" && s.data.screenStreamId)
+        .forEach(s => {
+          s.emit("screen-share-revoked");
+          stopScreenShare(roomId, s);
+        });
     }
   });
 
-  // Relay offers / answers / ICE candidates
-  socket.on("offer", (data) => {
-    const { roomId, to, fromRole } = data;
+  socket.on("chat-message", (data) => {
+    const { text, toModerators = false } = data || {};
+    const { roomId } = socket.data;
+    if (!roomId) return;
+
+    if (typeof text !== "string" || !text.trim()) return;
+    if (text.length > CHAT_MAX_LENGTH) {
+      socket.emit("chat-error", { message: `Messages are limited to ${CHAT_MAX_LENGTH} characters` });
+      return;
+    }
 
-    // Users cannot send streams to other users
-    if (fromRole === "user") {
-      // send only to moderators
-      const clients = io.sockets.adapter.rooms.get(roomId) || new Set();
-      clients.forEach(id => {
-        const s = io.sockets.sockets.get(id);
-        if (s && s.data.role === "moderator" && s.id !== socket.id) {
-          s.emit("offer", data);
-        }
-      });
+    const retryAfter = checkChatRate(socket);
+    if (retryAfter) {
+      socket.emit("chat-error", { message: "You are sending messages too quickly", retryAfter });
       return;
     }
 
-    // Moderator offers → send to all users
-    if (fromRole === "moderator") {
-      socket.to(roomId).emit("offer", data);
+    sendChatMessage(socket, roomId, text.trim(), toModerators === true);
+  });
+
+  // Relay offers / answers / ICE candidates between moderator and users only.
+  // Envelope: the client sends { to, ...payload } and the target receives
+  // { ...payload, to, from, fromRole }, where from/fromRole are stamped here
+  // from the sending socket and never taken from the client.
+  const relay = (event) => {
+    socket.on(event, (data) => {
+      const target = io.sockets.sockets.get(data && data.to);
+      if (!canSignal(socket, target)) {
+        console.warn(`Rejected ${event} from ${socket.id} to ${data && data.to}`);
+        return;
+      }
+
+      target.emit(event, { ...data, to: target.id, from: socket.id, fromRole: socket.data.role });
+    });
+  };
+
+  relay("offer");
+  relay("answer");
+  relay("ice-candidate");
+
+  // Fresh TURN credentials before the ones from joined-room expire
+  socket.on("get-ice-servers", (callback) => {
+    if (typeof callback !== "function") return;
+    if (!socket.data.roomId) {
+      callback({ error: "Not in a room" });
+      return;
     }
+    callback(iceConfig());
   });
 
-  socket.on("answer", (data) => {
-    socket.to(data.to).emit("answer", data);
+  // SFU rooms: add the client to the room's router once it is in the room
+  socket.on("sfu-join", async (data, callback) => {
+    if (typeof data === "function") callback = data;
+    if (typeof callback !== "function") return;
+
+    const { roomId } = socket.data;
+    const room = roomId && rooms.get(roomId);
+    if (!room || room.settings.mode !== "sfu") {
+      callback({ error: "Not in an SFU room" });
+      return;
+    }
+
+    try {
+      callback(await joinSfu(socket, roomId));
+    } catch (error) {
+      console.error("Error joining SFU room:", error);
+      callback({ error: error.message });
+    }
   });
 
-  socket.on("ice-candidate", (data) => {
-    socket.to(data.to).emit("ice-candidate", data);
+  // Screen producers are only accepted while the server knows about the share
+  registerSfuHandlers(socket, {
+    canProduce: (s, { screen }) => !screen || Boolean(s.data.screenStreamId),
   });
 
   socket.on("disconnect", () => {
     console.log("User disconnected:", socket.id);
-    // Optional: Notify room
+
+    const { roomId, clientId, waitingFor, lobbyFor } = socket.data;
+    if (waitingFor) removeFromWaitingList(waitingFor, socket.id);
+    if (lobbyFor) removeFromLobby(lobbyFor, socket.id);
+    if (!roomId) return;
+
+    // SFU transports belong to this socket; a resumed client sets up new ones
+    leaveSfu(roomId, socket.id).catch(error => console.error("Error leaving SFU room:", error));
+
+    const session = clientId && sessions.get(clientId);
+    if (!session) {
+      handlePeerLeft(roomId, socket.id);
+      return;
+    }
+
+    // Already resumed on another socket
+    if (session.socketId !== socket.id) return;
+
+    // Hold the place open for a while in case the client reconnects
+    session.leaveTimer = setTimeout(() => {
+      sessions.delete(clientId);
+      handlePeerLeft(roomId, socket.id);
+    }, RECONNECT_GRACE_MS);
+    broadcastRoster(roomId);
   });
 });
 
+if (DEFAULT_ROOM_SETTINGS.mode !== "p2p") await startSfu(io);
+
 const PORT = process.env.PORT || 3001;
 server.listen(PORT, () => {
   console.log("Server running on port", PORT);
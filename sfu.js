@@ -0,0 +1,558 @@
+// ============================================================================
+// SFU media backend (mediasoup)
+// ============================================================================
+//
+// Rooms in "sfu" mode send media through a mediasoup router instead of a P2P mesh.
+// Admission, roles and all other room state stay in server.js; this module only owns
+// routers, transports, producers and consumers. mediasoup is imported on demand so
+// P2P-only installs do not need it.
+
+import os from "os";
+
+const SFU_ANNOUNCED_IP = process.env.SFU_ANNOUNCED_IP; // public IP when behind NAT
+
+const sfuConfig = {
+  numWorkers: Number(process.env.SFU_WORKERS) || Math.min(2, os.cpus().length),
+  worker: {
+    logLevel: "warn",
+    logTags: ["info", "ice", "dtls", "rtp", "srtp", "rtcp"],
+    rtcMinPort: Number(process.env.SFU_RTC_MIN_PORT) || 40000,
+    rtcMaxPort: Number(process.env.SFU_RTC_MAX_PORT) || 49999,
+  },
+  router: {
+    mediaCodecs: [
+      { kind: "audio", mimeType: "audio/opus", clockRate: 48000, channels: 2 },
+      { kind: "audio", mimeType: "audio/PCMU", clockRate: 8000 },
+      { kind: "audio", mimeType: "audio/PCMA", clockRate: 8000 },
+      { kind: "video", mimeType: "video/VP8", clockRate: 90000 },
+      { kind: "video", mimeType: "video/VP9", clockRate: 90000, parameters: { "profile-id": 2 } },
+      {
+        kind: "video",
+        mimeType: "video/h264",
+        clockRate: 90000,
+        parameters: {
+          "packetization-mode": 1,
+          "profile-level-id": "42e01f",
+          "level-asymmetry-allowed": 1,
+        },
+      },
+    ],
+  },
+  // Active speaker detection
+  audioLevelObserver: {
+    maxEntries: 1,
+    threshold: -70, // dBov, quieter producers count as silent
+    interval: 800, // ms between reports, also smooths out flicker
+  },
+  webRtcTransport: {
+    listenIps: [{ ip: process.env.SFU_LISTEN_IP || "0.0.0.0", ...(SFU_ANNOUNCED_IP && { announcedIp: SFU_ANNOUNCED_IP }) }],
+    initialAvailableOutgoingBitrate: 1000000,
+    // Cap on what one client may send: all camera layers (1.3 Mbps, see VIDEO_LAYERS),
+    // a screen share and audio. Lower it and the top layer is the first to be dropped.
+    maxIncomingBitrate: Number(process.env.SFU_MAX_INCOMING_BITRATE) || 3500000,
+    maxSctpMessageSize: 262144,
+  },
+};
+
+// Simulcast / SVC layers sent by client.js, lowest first; heights assume a 720p camera
+const VIDEO_LAYERS = [
+  { height: 180, bitrate: 100000 },
+  { height: 360, bitrate: 300000 },
+  { height: 720, bitrate: 900000 },
+];
+const MAX_TEMPORAL_LAYER = 2;
+const BWE_CHANGE_RATIO = 0.1; // re-pick layers when the estimate moves by more than this
+
+// Transports that haven't finished DTLS by then are closed, e.g. when UDP and TCP are both blocked
+const TRANSPORT_CONNECT_TIMEOUT_MS = Number(process.env.SFU_CONNECT_TIMEOUT_MS) || 30000;
+
+// Most videos forwarded to one receiver at a time; fewer when its bandwidth is low
+const MAX_VIDEOS_PER_PEER = Number(process.env.SFU_MAX_VIDEOS) || 9;
+
+// How much a video matters to its receiver, also used as the consumer's priority (1-255)
+const VIDEO_RELEVANCE = { screen: 255, pinned: 200, speaker: 150, visible: 100, hidden: 1 };
+
+let io = null;
+const workers = [];
+let nextWorker = 0;
+
+// roomId -> Promise<{ router, audioLevelObserver, peers: Map<peerId, peer>, activeSpeakerId }>
+// peer = { id, socket, transports: Map, producers: Map, consumers: Map, availableBitrate,
+//          visiblePeerIds: Set | null (null until the client reports), pinnedPeerId }
+const sfuRooms = new Map();
+
+/**
+ * Start the mediasoup workers. Resolves to false (and every room falls back to P2P)
+ * when mediasoup is not installed.
+ */
+export async function startSfu(socketServer) {
+  let mediasoup;
+  try {
+    mediasoup = await import("mediasoup");
+  } catch {
+    console.warn("mediasoup is not installed; rooms will use P2P only.");
+    return false;
+  }
+
+  io = socketServer;
+  for (let i = 0; i < sfuConfig.numWorkers; i++) {
+    const worker = await mediasoup.createWorker(sfuConfig.worker);
+
+    worker.on("died", () => {
+      console.error("MediaSoup worker died, exiting in 2 seconds...");
+      setTimeout(() => process.exit(1), 2000);
+    });
+
+    workers.push(worker);
+    console.log(`MediaSoup worker ${i} created`);
+  }
+  return true;
+}
+
+export function isSfuAvailable() {
+  return workers.length > 0;
+}
+
+function getNextWorker() {
+  const worker = workers[nextWorker];
+  nextWorker = (nextWorker + 1) % workers.length;
+  return worker;
+}
+
+async function createSfuRoom(roomId) {
+  const router = await getNextWorker().createRouter({ mediaCodecs: sfuConfig.router.mediaCodecs });
+  const audioLevelObserver = await router.createAudioLevelObserver(sfuConfig.audioLevelObserver);
+
+  const room = { router, audioLevelObserver, peers: new Map(), activeSpeakerId: null };
+
+  // Announce the loudest peer; silence keeps the last speaker so the layout doesn't jump
+  audioLevelObserver.on("volumes", (volumes) => {
+    const { producer, volume } = volumes[0];
+    const speakerId = producer.appData.peerId;
+    if (speakerId === room.activeSpeakerId) return;
+
+    room.activeSpeakerId = speakerId;
+    io.to(roomId).emit("active-speaker", { peerId: speakerId, volume });
+    room.peers.forEach(peer => {
+      refreshVideo(peer, room).catch(error => console.error("Error updating video policy:", error));
+    });
+  });
+
+  console.log(`SFU router created for room ${roomId}`);
+  return room;
+}
+
+// Stored as a promise so two joiners racing on a new room share one router
+function getOrCreateSfuRoom(roomId) {
+  if (!sfuRooms.has(roomId)) sfuRooms.set(roomId, createSfuRoom(roomId));
+  return sfuRooms.get(roomId);
+}
+
+async function getSfuPeer(socket) {
+  const roomPromise = sfuRooms.get(socket.data.roomId);
+  if (!roomPromise) return null;
+  const room = await roomPromise;
+  return room.peers.get(socket.id) || null;
+}
+
+/**
+ * Create a "send" or "recv" transport for the peer. The client is told about ICE/DTLS
+ * state changes (transport-state) and about transports the server closes (transport-closed).
+ */
+async function createTransport(room, peer, direction) {
+  const { listenIps, initialAvailableOutgoingBitrate, maxIncomingBitrate } = sfuConfig.webRtcTransport;
+  const transport = await room.router.createWebRtcTransport({
+    listenIps,
+    enableUdp: true,
+    enableTcp: true,
+    preferUdp: true,
+    initialAvailableOutgoingBitrate,
+    appData: { direction },
+  });
+
+  // Only send transports carry media from the client
+  if (direction === "send") await transport.setMaxIncomingBitrate(maxIncomingBitrate);
+  peer.transports.set(transport.id, transport);
+
+  const closeAndNotify = (reason) => {
+    transport.close();
+    peer.socket.emit("transport-closed", { transportId: transport.id, reason });
+  };
+
+  const connectTimer = setTimeout(() => {
+    console.warn(`Transport ${transport.id} of ${peer.id} did not connect in time`);
+    closeAndNotify("timeout");
+  }, TRANSPORT_CONNECT_TIMEOUT_MS);
+
+  transport.on("icestatechange", (iceState) => {
+    peer.socket.emit("transport-state", { transportId: transport.id, iceState });
+  });
+
+  transport.on("dtlsstatechange", (dtlsState) => {
+    peer.socket.emit("transport-state", { transportId: transport.id, dtlsState });
+    if (dtlsState === "connected") clearTimeout(connectTimer);
+    if (dtlsState === "failed" || dtlsState === "closed") closeAndNotify(`dtls-${dtlsState}`);
+  });
+
+  transport.observer.on("close", () => {
+    clearTimeout(connectTimer);
+    peer.transports.delete(transport.id);
+  });
+
+  if (direction === "recv") await watchBandwidth(room, peer, transport);
+  return transport;
+}
+
+// Outgoing bandwidth estimate to the peer, used to pick layers and how many videos flow
+async function watchBandwidth(room, peer, transport) {
+  transport.on("trace", (trace) => {
+    if (trace.type !== "bwe") return;
+
+    const previous = peer.availableBitrate;
+    peer.availableBitrate = trace.info.availableBitrate;
+    if (!previous || Math.abs(peer.availableBitrate - previous) / previous > BWE_CHANGE_RATIO) {
+      refreshVideo(peer, room).catch(error => console.error("Error updating video policy:", error));
+    }
+  });
+  await transport.enableTraceEvent(["bwe"]);
+}
+
+function transportParams(transport) {
+  return {
+    id: transport.id,
+    iceParameters: transport.iceParameters,
+    iceCandidates: transport.iceCandidates,
+    dtlsParameters: transport.dtlsParameters,
+    sctpParameters: transport.sctpParameters,
+  };
+}
+
+/**
+ * Add an admitted socket to the room's router. Returns the router capabilities the client
+ * loads its mediasoup Device with; transports are requested separately (create-transport).
+ */
+export async function joinSfu(socket, roomId) {
+  const room = await getOrCreateSfuRoom(roomId);
+
+  // A client re-joining after a media failure starts over
+  leavePeer(room, socket.id);
+
+  const peer = {
+    id: socket.id,
+    socket,
+    transports: new Map(),
+    producers: new Map(),
+    consumers: new Map(),
+    availableBitrate: 0, // bits/s we can send to the peer, 0 until the first estimate
+    visiblePeerIds: null,
+    pinnedPeerId: null,
+  };
+  room.peers.set(peer.id, peer);
+  console.log(`Peer ${peer.id} joined SFU room ${roomId}`);
+
+  return { routerRtpCapabilities: room.router.rtpCapabilities };
+}
+
+// Closing the transports closes the peer's producers, and with them everyone's consumers of them
+function leavePeer(room, peerId) {
+  const peer = room.peers.get(peerId);
+  if (!peer) return;
+
+  peer.transports.forEach(transport => transport.close());
+  room.peers.delete(peerId);
+  if (room.activeSpeakerId === peerId) room.activeSpeakerId = null;
+}
+
+export async function leaveSfu(roomId, peerId) {
+  const roomPromise = sfuRooms.get(roomId);
+  if (roomPromise) leavePeer(await roomPromise, peerId);
+}
+
+// Close the peer's producers whose appData matches, e.g. a screen share that was revoked
+export async function closeSfuProducers(roomId, peerId, matches) {
+  const roomPromise = sfuRooms.get(roomId);
+  if (!roomPromise) return;
+
+  const peer = (await roomPromise).peers.get(peerId);
+  if (!peer) return;
+  peer.producers.forEach(producer => {
+    if (matches(producer.appData)) closeProducer(peer, producer);
+  });
+}
+
+export async function closeSfuRoom(roomId) {
+  const roomPromise = sfuRooms.get(roomId);
+  if (!roomPromise) return;
+
+  sfuRooms.delete(roomId);
+  (await roomPromise).router.close();
+  console.log(`SFU router closed for room ${roomId}`);
+}
+
+// Moderated topology, the same as canSignal in server.js: moderators receive everyone,
+// users only receive moderators
+function canReceive(receiver, sender) {
+  return receiver.socket.data.role === "moderator" || sender.socket.data.role === "moderator";
+}
+
+// Smallest layer that fills the receiver's tile, stepped down until it fits the bandwidth share
+function pickSpatialLayer(tileHeight, bitrateBudget) {
+  let layer = VIDEO_LAYERS.findIndex(l => l.height >= tileHeight);
+  if (layer === -1) layer = VIDEO_LAYERS.length - 1;
+  while (layer > 0 && VIDEO_LAYERS[layer].bitrate > bitrateBudget) layer--;
+  return layer;
+}
+
+/**
+ * Choose the layers for each of the peer's simulcast / SVC video consumers from the tile
+ * size it reported (set-preferred-layers) and an equal share of its bandwidth estimate
+ */
+async function updatePreferredLayers(peer) {
+  const consumers = [...peer.consumers.values()].filter(c => c.kind === "video" && c.type !== "simple" && !c.paused);
+  if (!consumers.length) return;
+
+  const budget = peer.availableBitrate ? peer.availableBitrate / consumers.length : Infinity;
+  await Promise.all(consumers.map(consumer => consumer.setPreferredLayers({
+    spatialLayer: pickSpatialLayer(consumer.appData.tileHeight || Infinity, budget),
+    temporalLayer: MAX_TEMPORAL_LAYER,
+  })));
+}
+
+function videoRelevance(peer, consumer, room) {
+  const { peerId, screen } = consumer.appData;
+  if (screen) return VIDEO_RELEVANCE.screen;
+  if (peerId === peer.pinnedPeerId) return VIDEO_RELEVANCE.pinned;
+  if (peerId === room.activeSpeakerId) return VIDEO_RELEVANCE.speaker;
+  if (!peer.visiblePeerIds || peer.visiblePeerIds.has(peerId)) return VIDEO_RELEVANCE.visible;
+  return VIDEO_RELEVANCE.hidden;
+}
+
+function maxVideos(peer) {
+  if (!peer.availableBitrate) return MAX_VIDEOS_PER_PEER;
+  const affordable = Math.floor(peer.availableBitrate / VIDEO_LAYERS[0].bitrate);
+  return Math.max(1, Math.min(MAX_VIDEOS_PER_PEER, affordable));
+}
+
+/**
+ * Keep only the receiver's most relevant videos flowing: screen shares, the pinned peer,
+ * the active speaker, then visible tiles, up to what its bandwidth allows. The rest are
+ * paused so off-screen participants cost nothing. Audio is never paused.
+ */
+async function applyVideoPolicy(peer, room) {
+  const ranked = [...peer.consumers.values()]
+    .filter(consumer => consumer.kind === "video" && consumer.appData.ready)
+    .map(consumer => ({ consumer, relevance: videoRelevance(peer, consumer, room) }))
+    .sort((a, b) => b.relevance - a.relevance);
+
+  const limit = maxVideos(peer);
+  await Promise.all(ranked.map(async ({ consumer, relevance }, index) => {
+    await consumer.setPriority(relevance);
+
+    const flowing = index < limit && relevance > VIDEO_RELEVANCE.hidden;
+    if (flowing === !consumer.paused) return;
+
+    if (flowing) await consumer.resume();
+    else await consumer.pause();
+    peer.socket.emit("consumer-state", { consumerId: consumer.id, paused: !flowing });
+  }));
+}
+
+// Which videos flow first, then the layers of the ones that do
+async function refreshVideo(peer, room) {
+  await applyVideoPolicy(peer, room);
+  await updatePreferredLayers(peer);
+}
+
+function closeProducer(peer, producer) {
+  producer.close();
+  peer.producers.delete(producer.id);
+}
+
+/**
+ * Register the SFU requests. Every request takes an acknowledgement callback that gets
+ * either a result or `{ error }`. `canProduce(socket, appData)` lets server.js apply
+ * room policy (e.g. screen sharing) before a producer is created.
+ */
+export function registerSfuHandlers(socket, { canProduce = () => true } = {}) {
+  const request = (event, handler) => {
+    socket.on(event, async (data, callback) => {
+      if (typeof data === "function") [data, callback] = [{}, data];
+      if (typeof callback !== "function") {
+        console.error(`${event}: callback is not a function`);
+        return;
+      }
+
+      try {
+        const peer = await getSfuPeer(socket);
+        if (!peer) {
+          callback({ error: "Not connected to an SFU room" });
+          return;
+        }
+        callback(await handler(peer, data || {}));
+      } catch (error) {
+        console.error(`Error handling ${event}:`, error);
+        callback({ error: error.message });
+      }
+    });
+  };
+
+  // Created on demand, so receive-only clients never open a send transport.
+  // There is one transport per direction; asking again replaces it.
+  request("create-transport", async (peer, { direction }) => {
+    if (direction !== "send" && direction !== "recv") return { error: 'direction must be "send" or "recv"' };
+
+    peer.transports.forEach(transport => {
+      if (transport.appData.direction === direction) transport.close();
+    });
+
+    const room = await sfuRooms.get(socket.data.roomId);
+    return transportParams(await createTransport(room, peer, direction));
+  });
+
+  // After a network change; the client passes the new ICE parameters to its transport
+  request("restart-ice", async (peer, { transportId }) => {
+    const transport = peer.transports.get(transportId);
+    if (!transport) return { error: "Transport not found" };
+
+    return { iceParameters: await transport.restartIce() };
+  });
+
+  request("connect-transport", async (peer, { transportId, dtlsParameters }) => {
+    if (!dtlsParameters) return { error: "dtlsParameters is required" };
+
+    const transport = peer.transports.get(transportId);
+    if (!transport) return { error: "Transport not found" };
+
+    await transport.connect({ dtlsParameters });
+    return { success: true };
+  });
+
+  request("produce", async (peer, { transportId, kind, rtpParameters, appData }) => {
+    const transport = peer.transports.get(transportId);
+    if (!transport || transport.appData.direction !== "send") return { error: "Send transport not found" };
+
+    const screen = Boolean(appData && appData.screen);
+    if (!canProduce(socket, { screen })) return { error: "Not allowed to send this media" };
+
+    const producer = await transport.produce({ kind, rtpParameters, appData: { peerId: peer.id, screen } });
+    peer.producers.set(producer.id, producer);
+
+    producer.on("transportclose", () => {
+      peer.producers.delete(producer.id);
+    });
+
+    const room = await sfuRooms.get(socket.data.roomId);
+    if (producer.kind === "audio" && !screen) {
+      await room.audioLevelObserver.addProducer({ producerId: producer.id });
+    }
+
+    // Only tell the peers that are allowed to receive it
+    room.peers.forEach(otherPeer => {
+      if (otherPeer === peer || !canReceive(otherPeer, peer)) return;
+      otherPeer.socket.emit("new-producer", {
+        peerId: peer.id,
+        producerId: producer.id,
+        kind: producer.kind,
+        appData: { screen },
+      });
+    });
+
+    return { id: producer.id };
+  });
+
+  request("close-producer", async (peer, { producerId }) => {
+    const producer = peer.producers.get(producerId);
+    if (!producer) return { error: "Producer not found" };
+
+    closeProducer(peer, producer);
+    return { success: true };
+  });
+
+  request("consume", async (peer, { transportId, producerId, rtpCapabilities }) => {
+    const transport = peer.transports.get(transportId);
+    if (!transport || transport.appData.direction !== "recv") return { error: "Receive transport not found" };
+
+    const room = await sfuRooms.get(socket.data.roomId);
+    const producerPeer = [...room.peers.values()].find(p => p.producers.has(producerId));
+    if (!producerPeer) return { error: "Producer not found" };
+    if (!canReceive(peer, producerPeer)) {
+      console.warn(`Rejected consume of ${producerId} by ${peer.id}`);
+      return { error: "Not allowed to receive this producer" };
+    }
+
+    if (!room.router.canConsume({ producerId, rtpCapabilities })) return { error: "Cannot consume" };
+
+    // Starts paused; resume-consumer lets it flow once the client is ready, if the policy allows
+    const consumer = await transport.consume({ producerId, rtpCapabilities, paused: true });
+    consumer.appData.peerId = producerPeer.id;
+    consumer.appData.screen = Boolean(producerPeer.producers.get(producerId).appData.screen);
+    peer.consumers.set(consumer.id, consumer);
+
+    consumer.on("transportclose", () => {
+      peer.consumers.delete(consumer.id);
+    });
+
+    // The producer's owner left or stopped sending. That frees a slot for a video held
+    // back by the maxVideos limit.
+    consumer.on("producerclose", () => {
+      peer.consumers.delete(consumer.id);
+      socket.emit("consumer-closed", { consumerId: consumer.id });
+      if (consumer.kind === "video") {
+        refreshVideo(peer, room).catch(error => console.error("Error updating video policy:", error));
+      }
+    });
+
+    return {
+      id: consumer.id,
+      producerId: consumer.producerId,
+      kind: consumer.kind,
+      rtpParameters: consumer.rtpParameters,
+    };
+  });
+
+  request("resume-consumer", async (peer, { consumerId }) => {
+    const consumer = peer.consumers.get(consumerId);
+    if (!consumer) return { error: "Consumer not found" };
+
+    consumer.appData.ready = true;
+    if (consumer.kind === "video") {
+      await refreshVideo(peer, await sfuRooms.get(socket.data.roomId));
+    } else {
+      await consumer.resume();
+    }
+    return { success: true, paused: consumer.paused };
+  });
+
+  // Tiles the client can currently see (and the one it pinned); everything else is paused
+  request("set-visible-tiles", async (peer, { peerIds, pinnedPeerId = null }) => {
+    if (!Array.isArray(peerIds)) return { error: "peerIds must be an array" };
+
+    peer.visiblePeerIds = new Set(peerIds.filter(id => typeof id === "string"));
+    peer.pinnedPeerId = typeof pinnedPeerId === "string" ? pinnedPeerId : null;
+    await refreshVideo(peer, await sfuRooms.get(socket.data.roomId));
+    return { success: true };
+  });
+
+  // The receiver's tile for this consumer, in device pixels; picks the simulcast / SVC layer
+  request("set-preferred-layers", async (peer, { consumerId, height }) => {
+    const consumer = peer.consumers.get(consumerId);
+    if (!consumer) return { error: "Consumer not found" };
+    if (!Number.isFinite(height) || height <= 0) return { error: "height must be a positive number" };
+
+    consumer.appData.tileHeight = height;
+    await updatePreferredLayers(peer);
+    return { spatialLayer: consumer.preferredLayers ? consumer.preferredLayers.spatialLayer : null };
+  });
+
+  request("get-producers", async (peer) => {
+    const room = await sfuRooms.get(socket.data.roomId);
+    const producers = [];
+    room.peers.forEach((otherPeer, peerId) => {
+      if (peerId === peer.id || !canReceive(peer, otherPeer)) return;
+      otherPeer.producers.forEach((producer, producerId) => {
+        producers.push({ peerId, producerId, kind: producer.kind, appData: { screen: producer.appData.screen } });
+      });
+    });
+    return { producers };
+  });
+}
@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { createInvite, verifyInvite, createTurnCredentials } from "../credentials.js";
+
+const SECRET = "test-secret";
+const NOW = Date.UTC(2024, 0, 1); // 1704067200 s
+
+test("TURN username is <expiry>:<user>", () => {
+  const { username, expiresAt } = createTurnCredentials(SECRET, "alice", 3600, NOW);
+  assert.equal(expiresAt, 1704067200 + 3600);
+  assert.equal(username, `${expiresAt}:alice`);
+});
+
+test("TURN credential is base64(HMAC-SHA1(secret, username)) as coturn expects", () => {
+  const { username, credential } = createTurnCredentials(SECRET, "alice", 3600, NOW);
+  const expected = crypto.createHmac("sha1", SECRET).update(username).digest("base64");
+  assert.equal(credential, expected);
+  assert.equal(Buffer.from(credential, "base64").length, 20);
+});
+
+test("TURN credentials differ per secret and expiry", () => {
+  const a = createTurnCredentials(SECRET, "alice", 3600, NOW);
+  assert.notEqual(createTurnCredentials("other", "alice", 3600, NOW).credential, a.credential);
+  assert.notEqual(createTurnCredentials(SECRET, "alice", 7200, NOW).credential, a.credential);
+});
+
+test("TURN expiry rounds the current time down to whole seconds", () => {
+  const { expiresAt } = createTurnCredentials(SECRET, "alice", 60, NOW + 999);
+  assert.equal(expiresAt, 1704067200 + 60);
+});
+
+test("an invite verifies until it expires", () => {
+  const { token, payload } = createInvite(SECRET, { roomId: "r1", role: "user", name: "Bob", ttlSeconds: 60 }, NOW);
+  assert.deepEqual(payload, { roomId: "r1", role: "user", name: "Bob", exp: 1704067200 + 60 });
+  assert.deepEqual(verifyInvite(SECRET, token, NOW + 59 * 1000), payload);
+  assert.equal(verifyInvite(SECRET, token, NOW + 60 * 1000), null);
+});
+
+test("an invite signed with another secret or edited is rejected", () => {
+  const { token } = createInvite(SECRET, { roomId: "r1", role: "user", ttlSeconds: 60 }, NOW);
+  assert.equal(verifyInvite("other", token, NOW), null);
+
+  const [, signature] = token.split(".");
+  const forged = Buffer.from(JSON.stringify({ roomId: "r1", role: "moderator", name: "", exp: 1704067260 })).toString("base64url");
+  assert.equal(verifyInvite(SECRET, `${forged}.${signature}`, NOW), null);
+});
+
+test("malformed invites are rejected", () => {
+  assert.equal(verifyInvite(SECRET, undefined, NOW), null);
+  assert.equal(verifyInvite(SECRET, "", NOW), null);
+  assert.equal(verifyInvite(SECRET, "no-signature", NOW), null);
+});